@@ -0,0 +1,295 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+const inquirer = require('inquirer')
+
+const Auth = require('../lib/auth')
+const Backup = require('../lib/backup')
+const GithubAPI = require('../lib/github-api')
+const Git = require('../lib/git')
+const Manifest = require('../lib/manifest')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+
+const defaultParallelCount = 8
+
+class ArchiveCommand extends Command {
+  static description = chalk`archive repositories
+
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to archive repositories you own, run {yellow gbulk archive} without arguments
+- to archive repositories of an organization, run {yellow gbulk archive $ORGNAME}
+
+A summary of repositories to archive is shown and must be confirmed before anything is changed.
+Use {yellow --backup} to backup selected repositories before archiving them.
+
+Token needs repo scope, or public_repo scope to only archive public repositories with {yellow --public}.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    backup: flags.string({
+      char: 'b',
+      description: 'backup selected repositories to specified path first'
+    }),
+    yes: flags.boolean({
+      char: 'y',
+      description: 'do not ask for confirmation',
+      default: false
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    interactive: flags.boolean({
+      char: 'i',
+      description: 'interactive mode',
+      default: false,
+      exclusive: [
+        'public',
+        'private',
+        'owner',
+        'collaborator',
+        'member',
+        'exclude',
+        'match',
+        'forks',
+        'language',
+        'topic',
+        'pushed-since',
+        'pushed-before',
+        'max-size',
+        'quiet'
+      ]
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'update multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'from',
+      description: chalk`{underline user} name or {underline organization} name to select repositories from`
+    }
+  ]
+
+  /**
+   * Whether command archives or unarchives repositories
+   */
+  static archive = true
+
+  async run() {
+    const { args, flags } = this.parse(this.constructor)
+    const archive = this.constructor.archive
+    const action = archive ? 'archive' : 'unarchive'
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    try {
+      Selection.check(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Default to authenticated user
+    args.from = args.from || auth.user
+
+    // Enable flags interactively
+    if (flags.interactive) {
+      await Selection.prompt.filters(flags, ['archived'])
+    }
+
+    // Selection includes private repositories unless --public is used
+    try {
+      Auth.checkScopes(
+        auth,
+        flags.public ? { public_repo: `${action} repositories` } : { repo: `${action} private repositories` }
+      )
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let repositories = []
+
+    reporter.start('fetch', `Fetching repositories of ${args.from}`)
+
+    try {
+      repositories = await Selection.fetch({ auth, from: args.from, options: Selection.options(flags) })
+    } catch (err) {
+      reporter.fail('fetch')
+
+      this.debug(err)
+      this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+    }
+
+    reporter.succeed('fetch')
+
+    repositories = Selection.filter(repositories, flags).filter((repository) => repository.archived !== archive)
+
+    if (repositories.length && flags.interactive) {
+      repositories = await Selection.prompt.repositories(repositories, `Select repositories to ${action}`)
+    }
+
+    if (!repositories.length) {
+      this.warn(`No repositories to ${action}.`)
+      this.exit(1)
+    }
+
+    this.log(`The following ${repositories.length} repositories will be ${action}d:`)
+
+    for (const repository of repositories) {
+      this.log(
+        chalk`  {bold ${repository.fullName}} (${repository.private ? 'private' : 'public'}, last push ${
+          repository.pushedAt ? repository.pushedAt.slice(0, 10) : 'never'
+        })`
+      )
+    }
+
+    if (!flags.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'confirm',
+          message: `${archive ? 'Archive' : 'Unarchive'} ${repositories.length} repositories?`,
+          choices: ['Yes', 'No']
+        }
+      ])
+
+      if (confirm === 'No') {
+        this.exit(0)
+      }
+    }
+
+    if (flags.backup) {
+      await this.backup(auth, args.from, repositories, flags, reporter)
+    }
+
+    await Promise.all(repositories).mapLimit(flags.parallel, async (repository) => {
+      reporter.start(repository.fullName, `${repository.fullName} ==> ${archive ? 'Archiving' : 'Unarchiving'}...`)
+
+      try {
+        await GithubAPI.update.repository(auth, repository.fullName, { archived: archive })
+
+        reporter.succeed(repository.fullName, `${repository.fullName} ===> ${action}d`)
+      } catch (err) {
+        const error = `${repository.fullName}: ${err.message || err}`
+
+        reporter.fail(repository.fullName, error)
+
+        if (flags.quiet) {
+          this.warn(error)
+        }
+
+        this.debug(err)
+
+        exitCode = 1
+      }
+    })
+
+    this.exit(exitCode)
+  }
+
+  /**
+   * Backup repositories before changing them, abort if any backup fails
+   * @param {Object<token: String, user: String>} auth Authentication details
+   * @param {String} from Account repositories are selected from
+   * @param {Array<Object>} repositories Repositories to backup
+   * @param {Object} flags Parsed command flags
+   * @param {Object} reporter Output reporter, see `Output.reporter`
+   * @returns {void}
+   */
+  async backup(auth, from, repositories, flags, reporter) {
+    await Git.check()
+
+    const gitLFS = await Git.LFS.check()
+
+    if (!gitLFS) {
+      this.warn('Git LFS is not installed, objects stored through LFS will not be backup.')
+    }
+
+    try {
+      await fs.promises.mkdir(flags.backup, { recursive: true })
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot create ${flags.backup}`)
+    }
+
+    const manifest = Manifest.create({
+      source: from,
+      user: auth.user,
+      destination: flags.backup,
+      filters: {
+        match: flags.match || [],
+        exclude: flags.exclude || [],
+        pushedBefore: flags['pushed-before'] || null,
+        interactive: flags.interactive,
+        lfs: gitLFS,
+        cleanRefs: false
+      }
+    })
+
+    await Promise.all(repositories).mapLimit(flags.parallel, async (repository) => {
+      const step = `backup:${repository.fullName}`
+
+      reporter.start(step, `${repository.fullName} ==> Checking destination...`)
+
+      const result = await Backup.repository(repository, {
+        destination: flags.backup,
+        lfs: gitLFS,
+        cleanRefs: false,
+        auth,
+        progress: (text) => reporter.update(step, `${repository.fullName} ==> ${text}`)
+      })
+
+      manifest.repositories.push(result)
+
+      if (result.status === 'failed') {
+        reporter.fail(step, `${repository.fullName}: ${result.error}`)
+      } else {
+        reporter.succeed(step, `${repository.fullName} ===> ${result.path}`)
+      }
+    })
+
+    await Manifest.write(manifest)
+
+    const failed = manifest.repositories.filter((result) => result.status === 'failed' || result.lfs === 'failed')
+
+    if (failed.length) {
+      this.error(
+        `Backup failed for ${failed.map((result) => result.fullName).join(', ')}, no repository was ${
+          this.constructor.archive ? 'archived' : 'unarchived'
+        }`
+      )
+    }
+  }
+}
+
+module.exports = ArchiveCommand
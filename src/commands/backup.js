@@ -4,15 +4,30 @@ const chalk = require('chalk')
 const fs = require('fs')
 const inquirer = require('inquirer')
 const path = require('path')
-const Spinnies = require('spinnies')
 
-const config = require('../config')
+const Auth = require('../lib/auth')
+const Backup = require('../lib/backup')
+const Encryption = require('../lib/encryption')
 const GithubAPI = require('../lib/github-api')
 const Git = require('../lib/git')
+const Manifest = require('../lib/manifest')
+const Mirrors = require('../lib/mirrors')
+const Output = require('../lib/output')
+const Package = require('../lib/package')
+const Plan = require('../lib/plan')
+const Selection = require('../lib/selection')
+const Snapshots = require('../lib/snapshots')
 
-const spinnies = new Spinnies()
 const backupPath = path.join(process.cwd(), `gbulk-backup-${Date.now()}`)
+const snapshotsPath = path.join(process.cwd(), 'gbulk-backup')
 const defaultParallelCount = 8
+const defaultParallelDownloadsCount = 4
+// Fatal errors exit with code 2 (see this.error)
+const exitCodes = { success: 0, failed: 1, fatal: 2, empty: 3 }
+// Flags that only make sense on command line
+const commandLineFlags = ['help', 'interactive', 'plan', 'job', 'profile', 'output']
+// Flags whose values are paths, resolved relative to plan file
+const pathFlags = ['passphrase-file', 'recipient', 'private-key']
 
 class BackupCommand extends Command {
   static description = chalk`backup repositories
@@ -21,46 +36,121 @@ With {bold gbulk}, you can backup from different sources:
 - to backup repositories you own, run {yellow gbulk backup} without arguments (if you want to specify a backup path, use {yellow gbulk backup $YOUR_USERNAME $BACKUP_PATH})
 - to backup repositories of another user, run {yellow gbulk backup $USERNAME}
 - to backup repositories of an organization, run {yellow gbulk backup $ORGNAME}
-
-Git LFS objects will be backup if {bold git-lfs} is available in path.`
+- to also backup gists and starred repositories of a user, add {yellow --gists} and {yellow --starred}
+
+If destination already holds a mirror of a repository, it is updated instead of cloned again.
+Mirrors of repositories deleted or renamed upstream are reported and left untouched.
+
+Git LFS objects will be backup if {bold git-lfs} is available in path.
+Repositories wiki will be backup next to their mirror (as $REPO.wiki.git) with {yellow --wiki}.
+Issues, pull requests and other Github metadata will be exported next to their mirror (in $REPO.metadata) with {yellow --metadata}.
+Metadata already exported by a previous backup is updated incrementally.
+Release assets will be downloaded next to their mirror (in $REPO.releases/$TAG) with {yellow --releases}.
+
+Mirrors can be packaged with {yellow --format}: {yellow bundle} writes a git bundle with all refs ($REPO.bundle, plus LFS objects in $REPO.lfs.tar.gz),
+{yellow tar.gz} writes a compressed archive of the mirror ($REPO.git.tar.gz). Each package gets a SHA-256 checksum file next to it ($FILE.sha256),
+and is unpacked to be updated by next backup. Use {yellow gbulk unpack} to turn packages back into mirrors.
+
+Packages can be encrypted (AES-256-GCM, as $FILE.enc) with a passphrase, read from {yellow --passphrase-file} or {bold GBULK_PASSPHRASE} environment variable,
+and/or for RSA public keys given with {yellow --recipient}. Packages encrypted for public keys only are backup again from scratch,
+unless matching private key is given with {yellow --private-key}. Keys are never written to manifest nor logs.
+Only packages are encrypted: {yellow --metadata} and {yellow --releases}, whose files would be left in clear, cannot be used with encryption.
+
+Each run writes a JSON manifest (gbulk-manifest-<timestamp>.json) in destination, recording per repository status.
+
+With {yellow --snapshot}, each run writes a dated snapshot in destination ($DESTINATION/$DATE, destination defaults to ./gbulk-backup),
+starting from a copy of latest snapshot (hard linked where possible), and points $DESTINATION/latest to it once done.
+Old snapshots are removed according to {yellow --keep-last}, {yellow --keep-daily}, {yellow --keep-weekly} and {yellow --keep-monthly} rules when given,
+see {yellow gbulk prune}.
+
+Backups can be described in a plan file (YAML or JSON) run with {yellow gbulk backup --plan gbulk.yml}, each job of plan being a backup:
+
+  defaults:
+    profile: work
+    options:
+      format: bundle
+      metadata: true
+  jobs:
+    - source: my-org
+      destination: backups/my-org
+      filters:
+        archived: false
+        exclude: [huge-repo]
+    - name: personal
+      destination: backups/me
+      options:
+        snapshot: true
+        keep-daily: 7
+
+Filters and options are named after command flags, relative paths are relative to plan file. Jobs without source backup authenticated user.
+Plan is checked before running any job. Flags given on command line override plan values for all jobs, use {yellow --job} to run some jobs only.
+
+Progress is shown with spinners in terminals, and as plain lines otherwise (eg. in CI logs). With {yellow --output json}, one JSON event is written per line
+instead (backup.started, repository.started, repository.finished, repository.failed, backup.finished...), with their time and durations in milliseconds.
+Command exits with code 0 when all repositories were backup, 1 when some of them failed, 2 on fatal errors and 3 when there was nothing to backup.`
 
   static flags = {
     help: flags.help({ char: 'h' }),
-    public: flags.boolean({
-      description: 'include/exclude public repositories'
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    archived: Selection.flags.archived,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    'clean-refs': flags.boolean({
+      char: 'c',
+      description: 'clean GitHub specific pull refs (refs/pull) from backup repositories',
+      default: false
     }),
-    private: flags.boolean({
-      description: 'include/exclude private repositories'
+    wiki: flags.boolean({
+      description: 'include repositories wiki in backup',
+      default: false
     }),
-    owner: flags.boolean({
-      description: 'include/exclude owned repositories',
-      allowNo: true
+    metadata: flags.boolean({
+      description: 'include issues, pull requests, comments, labels, milestones and releases in backup (not encrypted)',
+      default: false
     }),
-    collaborator: flags.boolean({
-      description: 'include/exclude repositories where user is collaborator',
-      allowNo: true
+    gists: flags.boolean({
+      description: 'also backup gists (in a gists subfolder of destination)',
+      default: false
     }),
-    member: flags.boolean({
-      description: 'include/exclude repositories where user is member',
-      allowNo: true
+    starred: flags.boolean({
+      description: 'also backup starred repositories (in a starred subfolder of destination)',
+      default: false
     }),
-    exclude: flags.string({
-      char: 'x',
-      description:
-        'exclude repositories whose name is matching specified string or regex pattern (omitting start and end delimiters)',
-      multiple: true
+    releases: flags.boolean({
+      description: 'include release assets in backup (not encrypted)',
+      default: false
     }),
-    match: flags.string({
-      char: 'm',
-      description:
-        'include only repositories whose name is matching specified string or regex pattern (omitting start and end delimiters)',
-      multiple: true
+    format: flags.string({
+      description: 'backup format: bare mirror directory, git bundle file or compressed archive of mirror',
+      options: Package.formats,
+      default: 'mirror'
     }),
-    'clean-refs': flags.boolean({
-      char: 'c',
-      description: 'clean GitHub specific pull refs (refs/pull) from backup repositories',
+    'passphrase-file': Encryption.flags['passphrase-file'],
+    recipient: Encryption.flags.recipient,
+    'private-key': Encryption.flags['private-key'],
+    snapshot: flags.boolean({
+      description: 'write a dated snapshot in destination, and point destination latest to it',
       default: false
     }),
+    'keep-last': Snapshots.flags['keep-last'],
+    'keep-daily': Snapshots.flags['keep-daily'],
+    'keep-weekly': Snapshots.flags['keep-weekly'],
+    'keep-monthly': Snapshots.flags['keep-monthly'],
+    'parallel-downloads': flags.string({
+      description: 'download multiple release assets of a repository in parallel',
+      default: defaultParallelDownloadsCount
+    }),
     lfs: flags.boolean({
       description: 'include LFS objects in backup',
       default: true,
@@ -71,6 +161,7 @@ Git LFS objects will be backup if {bold git-lfs} is available in path.`
       description: 'disable logging',
       default: false
     }),
+    output: Output.flags.output,
     interactive: flags.boolean({
       char: 'i',
       description: 'interactive mode',
@@ -83,57 +174,220 @@ Git LFS objects will be backup if {bold git-lfs} is available in path.`
         'member',
         'exclude',
         'match',
+        'forks',
+        'archived',
+        'language',
+        'topic',
+        'pushed-since',
+        'pushed-before',
+        'max-size',
         'clean-refs',
         'lfs',
-        'quiet'
+        'quiet',
+        'output'
       ]
     }),
     parallel: flags.string({
       char: 'p',
       description: 'backup multiple repositories in parallel',
       default: defaultParallelCount
+    }),
+    plan: flags.string({
+      description: 'run backup jobs described in a plan file (YAML or JSON)',
+      exclusive: ['interactive']
+    }),
+    job: flags.string({
+      description: 'name of plan job to run (defaults to all jobs)',
+      multiple: true,
+      dependsOn: ['plan']
     })
   }
 
   static args = [
     {
       name: 'from',
-      description: chalk`{underline user} name or {underline organization} name to backup from`,
-      default: config.get('auth.user')
+      description: chalk`{underline user} name or {underline organization} name to backup from`
     },
     {
       name: 'destination',
-      description: 'backup destination path',
-      default: backupPath
+      description:
+        'backup destination path (defaults to ./gbulk-backup-$TIMESTAMP, or to ./gbulk-backup with --snapshot)'
     }
   ]
 
   async run() {
-    const { args, flags } = this.parse(BackupCommand)
-    let exitCode = 0
+    const { args, flags, raw } = this.parse(BackupCommand)
+
+    if (!flags.plan) {
+      this.exit(await this.backup(args, flags, await this.prepare(flags)))
+    }
+
+    if (args.from || args.destination) {
+      this.error('Sources and destinations are read from plan, remove them from command line')
+    }
+
+    let jobs = []
+
+    try {
+      jobs = Plan.jobs(await Plan.read(flags.plan), {
+        file: flags.plan,
+        schema: Plan.schema(BackupCommand.flags, Object.keys(Selection.flags), commandLineFlags),
+        flags,
+        explicit: raw.filter((token) => token.type === 'flag').map((token) => token.flag),
+        paths: pathFlags
+      })
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    if (flags.job) {
+      const names = jobs.map((job) => job.name)
+      const unknown = flags.job.filter((name) => names.indexOf(name) === -1)
+
+      if (unknown.length) {
+        this.error(`Unknown job ${unknown.join(', ')} in plan ${flags.plan}, expected one of ${names.join(', ')}`)
+      }
+
+      jobs = jobs.filter((job) => flags.job.indexOf(job.name) !== -1)
+    }
+
+    // Check all jobs first, so that a mistake in plan is not found after hours of backup
+    for (const job of jobs) {
+      try {
+        job.settings = await this.prepare(job.flags)
+      } catch (err) {
+        if (!err.oclif) throw err
+
+        this.error(`Job ${job.name}: ${err.message}`)
+      }
+    }
+
+    const reporter = Output.reporter({ mode: Output.mode(flags.output), quiet: flags.quiet, log: this.log.bind(this) })
+    const codes = []
+
+    for (const [index, job] of jobs.entries()) {
+      reporter.log(chalk`Running job {bold ${job.name}} (${index + 1}/${jobs.length})`, 'job.started', {
+        job: job.name,
+        index: index + 1,
+        count: jobs.length
+      })
+
+      let code = exitCodes.fatal
+
+      try {
+        code = await this.backup(job.args, job.flags, job.settings)
+      } catch (err) {
+        if (!err.oclif) throw err
 
+        // Next jobs are run anyway
+        this.warn(`Job ${job.name} failed: ${err.message}`)
+      }
+
+      reporter.event('job.finished', { job: job.name, exitCode: code })
+
+      codes.push(code)
+    }
+
+    // Most serious outcome of jobs wins
+    this.exit(
+      [exitCodes.fatal, exitCodes.failed, exitCodes.empty].find((code) => codes.indexOf(code) !== -1) ||
+        exitCodes.success
+    )
+  }
+
+  /**
+   * Check flags of a backup and read what it needs from them
+   * @param {Object} flags Backup flags
+   * @returns {Object<keys: Object?, policy: Object?, auth: Object>} Encryption keys, retention policy and authentication details
+   */
+  async prepare(flags) {
     if (flags.quiet) {
       this.debug('quiet mode enabled')
     }
 
-    flags.parallel = +flags.parallel
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
 
-    if (flags.parallel === NaN) {
-      this.debug(`parallel flag value [${flags.parallel}] is invalid, using default value (${defaultParallelCount})`)
+    flags['parallel-downloads'] = Selection.parallel(
+      flags['parallel-downloads'],
+      defaultParallelDownloadsCount,
+      'parallel-downloads'
+    )
 
-      flags.parallel = defaultParallelCount
+    try {
+      Selection.check(flags)
+    } catch (err) {
+      this.error(err.message)
     }
 
-    this.debug('checking auth')
+    let keys = null
 
-    const auth = config.get('auth')
+    try {
+      keys = await Encryption.keys(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
 
-    if (!auth || !auth.token) {
-      this.error(chalk`You are not authenticated, please run {yellow gbulk login} first.`)
-    } else {
-      this.debug('authenticated user is', auth.user)
+    let policy = null
+
+    try {
+      policy = Snapshots.policy(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    if (policy && !flags.snapshot) {
+      this.error('Retention rules only apply to snapshots, use --snapshot')
+    }
+
+    // Passphrase from environment may only be there to decrypt previous packages
+    if ((flags['passphrase-file'] || flags.recipient) && flags.format === 'mirror') {
+      this.error('Only packages can be encrypted, use --format bundle or --format tar.gz')
+    }
+
+    // Metadata and release assets are plain files, which would be written in clear next to encrypted packages
+    if (flags.format !== 'mirror' && Encryption.canEncrypt(keys) && (flags.metadata || flags.releases)) {
+      const flag = flags.metadata ? 'metadata' : 'releases'
+
+      this.error(`--${flag} cannot be used with encrypted packages, its files would be written unencrypted`)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
     }
 
+    // Checked before anything is written to destination
+    if (flags.private) {
+      try {
+        Auth.checkScopes(auth, { repo: 'backup private repositories' })
+      } catch (err) {
+        this.error(err.message)
+      }
+    }
+
+    return { keys, policy, auth }
+  }
+
+  /**
+   * Backup repositories of a source
+   * @param {Object<from: String?, destination: String?>} args Backup arguments
+   * @param {Object} flags Backup flags
+   * @param {Object} settings Backup settings, see `prepare`
+   * @returns {Number} Exit code, see `exitCodes`
+   */
+  async backup(args, flags, { keys, policy, auth }) {
+    const reporter = Output.reporter({ mode: Output.mode(flags.output), quiet: flags.quiet, log: this.log.bind(this) })
+    const start = Date.now()
+    let exitCode = exitCodes.success
+
+    args.destination = args.destination || (flags.snapshot ? snapshotsPath : backupPath)
+
+    // Default to authenticated user
+    args.from = args.from || auth.user
+
     this.debug('checking git command availability')
 
     await Git.check()
@@ -177,207 +431,112 @@ Git LFS objects will be backup if {bold git-lfs} is available in path.`
 
     // Enable flags interactively
     if (flags.interactive) {
-      const { filters } = await inquirer.prompt([
-        {
-          type: 'checkbox',
-          name: 'filters',
-          message: 'Select search filters',
-          choices: [
-            new inquirer.Separator('### Repository type ###'),
-            {
-              name: 'public',
-              checked: true
-            },
-            {
-              name: 'private',
-              checked: true
-            },
-            new inquirer.Separator('### Affiliation with repository ###'),
-            {
-              name: 'owner',
-              checked: true
-            },
-            {
-              name: 'collaborator',
-              checked: true
-            },
-            {
-              name: 'member',
-              checked: true
-            }
-          ]
-        }
-      ])
-
-      for (const filter of filters) {
-        flags[filter] = true
-      }
+      await Selection.prompt.filters(flags)
     }
 
     let repositories = []
+    const options = Selection.options(flags)
 
-    // If `from` equals authenticated user, use it as backup source (not as another user)
-    if (args.from === auth.user) {
-      if (!flags.quiet) {
-        spinnies.add('fetch', { text: `Fetching repositories of ${auth.user}` })
-      }
+    // Github silently omits what token cannot access
+    if (!flags.private && options.type === 'all' && Auth.missingScopes(auth, ['repo']).length) {
+      this.warn('Token is missing repo scope, private repositories will not be backup.')
+    }
 
-      this.debug('backup authenticated user repositories')
+    if (flags.gists && Auth.missingScopes(auth, ['gist']).length) {
+      this.warn('Token is missing gist scope, secret gists will not be backup.')
+    }
 
-      const affiliationFlags = ['owner', 'collaborator', 'member']
-      const affiliation = []
+    reporter.event('backup.started', { source: args.from, destination: args.destination })
+    reporter.start('fetch', `Fetching repositories of ${args.from}`)
 
-      // Handle affiliation flags enabling
-      affiliationFlags.forEach((flag) => {
-        if (flags[flag]) affiliation.push(flag)
-      })
+    try {
+      repositories = await Selection.fetch({ auth, from: args.from, options })
+    } catch (err) {
+      reporter.fail('fetch')
 
-      // If no affiliation flag explicitly enabled
-      if (!affiliation.length) {
-        // Enable all affiliation flags not explicitly disabled
-        affiliationFlags.forEach((flag) => {
-          if (flags[flag] !== false) affiliation.push(flag)
-        })
-      }
+      this.debug(err)
+      this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+    }
 
-      const options = {
-        affiliation,
-        type: flags.public && !flags.private ? 'public' : flags.private && !flags.public ? 'private' : 'all'
-      }
+    reporter.succeed('fetch')
 
-      this.debug('backup', options.type, 'repositories where user is', affiliation.join(','))
+    // Keep track of upstream repositories before filtering to detect stale mirrors
+    const upstream = repositories.map((repository) => repository.fullName)
+    const extras = []
 
-      repositories = await GithubAPI.get.repositories({
-        token: auth.token,
-        options
-      })
+    if (flags.gists) {
+      extras.push({ kind: 'gists', fetch: GithubAPI.get.gists })
     }
-    // @TODO: handle other cases than auth user backup source
-    // - user
-    // - organization
 
-    if (!flags.quiet) {
-      spinnies.succeed('fetch')
+    if (flags.starred) {
+      extras.push({ kind: 'starred', fetch: GithubAPI.get.starred })
     }
 
-    if (!repositories.length) {
-      this.warn('No repositories to backup.')
-
-      exitCode = 1
-    } else {
-      if (!flags.quiet) {
-        spinnies.add('prepare', { text: `Preparing backup of ${repositories.length} repositories...` })
-      }
+    const jobs = []
 
-      if (flags.exclude) {
-        this.debug('filter repos following exclude flag')
+    for (const extra of extras) {
+      reporter.start(`fetch-${extra.kind}`, `Fetching ${extra.kind} of ${args.from}`)
 
-        const excluded = []
+      try {
+        const items = await extra.fetch({ auth, from: args.from === auth.user ? undefined : args.from })
 
-        repositories = repositories.filter((repo) => {
-          return flags.exclude.reduce((acc, exclude) => {
-            // If not yet excluded, test exclude rule
-            if (acc) {
-              const keep = !new RegExp(exclude).test(repo.name)
+        // Additional sources are filtered the same way as repositories
+        for (const repository of Selection.filter(items, flags)) {
+          jobs.push({ kind: extra.kind, repository })
+        }
+      } catch (err) {
+        reporter.fail(`fetch-${extra.kind}`)
 
-              if (!keep) {
-                excluded.push(repo.name)
-              }
+        this.debug(err)
+        this.error(`Cannot fetch ${extra.kind} of ${args.from}: ${err.message || err}`)
+      }
 
-              return keep
-            }
+      reporter.succeed(`fetch-${extra.kind}`)
+    }
 
-            return acc
-          }, true)
-        })
+    // Snapshot is created once repositories are fetched, so that failed fetches leave no snapshot behind
+    const root = args.destination
+    let snapshot = null
 
-        this.debug(`excluded ${excluded.length} repositories ${JSON.stringify(excluded)}`)
-      }
+    if (flags.snapshot) {
+      reporter.start('snapshot', `Creating snapshot in ${root}`)
 
-      if (flags.match) {
-        this.debug('filter repos following match flag')
+      try {
+        snapshot = await Snapshots.create(root)
+      } catch (err) {
+        reporter.fail('snapshot')
 
-        const excluded = []
+        this.debug(err)
+        this.error(`Cannot create snapshot in ${root}: ${err.message || err}`)
+      }
 
-        repositories = repositories.filter((repo) => {
-          return flags.match.reduce((acc, match) => {
-            // If not yet excluded, test exclude rule
-            if (acc) {
-              const keep = new RegExp(match).test(repo.name)
+      reporter.succeed(
+        'snapshot',
+        `Created snapshot ${snapshot.name}${snapshot.from ? ` from ${snapshot.from}` : ''}`,
+        'snapshot.created',
+        { snapshot: snapshot.name, from: snapshot.from }
+      )
 
-              if (!keep) {
-                excluded.push(repo.name)
-              }
+      args.destination = snapshot.path
+    }
 
-              return keep
-            }
+    const manifest = Manifest.create({
+      source: args.from,
+      user: auth.user,
+      destination: args.destination,
+      snapshot: snapshot && snapshot.name
+    })
 
-            return acc
-          }, true)
-        })
+    if (!repositories.length && !jobs.length) {
+      this.warn('No repositories to backup.')
+    } else {
+      reporter.start('prepare', `Preparing backup of ${repositories.length + jobs.length} repositories...`)
 
-        this.debug(`excluded ${excluded.length} repositories ${JSON.stringify(excluded)}`)
-      }
+      repositories = Selection.filter(repositories, flags)
 
-      if (flags.interactive) {
+      if (repositories.length && flags.interactive) {
         // This replaces exclude flag in interactive mode
-        const { repos: selectedRepos } = await inquirer.prompt([
-          {
-            type: 'checkbox',
-            message: 'Select repositories to backup',
-            name: 'repos',
-            choices: repositories
-              .sort((a, b) => {
-                if (a.private && b.private) {
-                  return 0
-                } else if (!a.private && b.private) {
-                  return -1
-                }
-
-                return 1
-              })
-              .filter((repo) => !repo.private)
-              .reduce((acc, repo) => {
-                if (!acc.length) {
-                  acc.push(new inquirer.Separator('### Public repositories ###'))
-                }
-
-                acc.push({
-                  checked: true,
-                  name: repo.fullName
-                })
-
-                return acc
-              }, [])
-              .concat(
-                repositories
-                  .filter((repo) => repo.private)
-                  .reduce((acc, repo) => {
-                    if (!acc.length) {
-                      acc.push(new inquirer.Separator('### Private repositories ###'))
-                    }
-
-                    acc.push({
-                      checked: true,
-                      name: repo.fullName
-                    })
-
-                    return acc
-                  }, [])
-              ),
-            validate: function(selectedRepos) {
-              if (selectedRepos.length < 1) {
-                return 'You must choose at least one repository.'
-              }
-
-              return true
-            }
-          }
-        ])
-
-        repositories = repositories.filter((repository) => {
-          return selectedRepos.find((selectedRepo) => repository.fullName === selectedRepo)
-        })
+        repositories = await Selection.prompt.repositories(repositories, 'Select repositories to backup')
 
         const { cleanRefs } = await inquirer.prompt([
           {
@@ -408,89 +567,214 @@ Git LFS objects will be backup if {bold git-lfs} is available in path.`
         }
       }
 
+      repositories.forEach((repository) => {
+        jobs.unshift({ kind: 'repositories', repository })
+      })
+
+      let backupCount = 0
+      const globalBackupText = (count) => `Backed up ${count}/${jobs.length} repositories`
+
+      reporter.succeed('prepare')
+      reporter.start('backup', globalBackupText(backupCount))
+
+      await Promise.all(jobs).mapLimit(flags.parallel, async ({ kind, repository }) => {
+        const name = Mirrors.label({ kind, fullName: repository.fullName })
+        // Additional sources are mirrored in their own subfolder of destination
+        const destination = kind === 'repositories' ? args.destination : path.join(args.destination, kind)
+
+        reporter.start(name, `${name} ==> Checking destination...`, 'repository.started', {
+          repository: repository.fullName,
+          kind
+        })
 
-      await Promise.all(repositories).mapLimit(flags.parallel, async (repository) => {
-        const data = {
-          path: path.resolve(args.destination, repository.fullName + '.git'),
-          url: repository.urls.https
+        const result = await Backup.repository(repository, {
+          destination,
+          lfs: flags.lfs && gitLFS,
+          cleanRefs: flags['clean-refs'],
+          wiki: flags.wiki,
+          // Gists have no Github metadata nor releases
+          metadata: flags.metadata && kind !== 'gists',
+          releases: flags.releases && kind !== 'gists',
+          parallelDownloads: flags['parallel-downloads'],
+          format: flags.format,
+          keys,
+          auth,
+          progress: (text) => reporter.update(name, `${name} ==> ${text}`)
+        })
+
+        manifest.repositories.push(Object.assign({ kind }, result))
+
+        if (result.lfs === 'failed') {
+          this.warn(`Failed to fetch LFS objects from ${name}`)
+
+          exitCode = exitCodes.failed
         }
 
-        if (!flags.quiet) {
-          spinnies.add(repository.fullName, { text: `${repository.fullName} ==> Cloning...` })
+        if (result.cleanRefs === 'failed') {
+          this.warn(`Failed to clean /pull refs from ${name}`)
+
+          exitCode = exitCodes.failed
         }
 
-        try {
-          await Git.clone(data)
+        if (result.wiki === 'failed') {
+          this.warn(`Failed to backup wiki of ${name}`)
 
-          if (flags.lfs && gitLFS) {
-            if (!flags.quiet) {
-              spinnies.update(repository.fullName, { text: `${repository.fullName} ==> Fetching LFS objects...` })
-            }
+          exitCode = exitCodes.failed
+        }
 
-            try {
-              await Git.LFS.fetch(data)
-            } catch (err) {
-              this.warn(`Failed to fetch LFS objects from ${repository.fullName}`)
-              this.debug(err)
+        if (result.metadata === 'failed') {
+          this.warn(`Failed to export metadata of ${name}`)
 
-              exitCode = 1
-            }
-          }
+          exitCode = exitCodes.failed
+        }
 
-          if (flags['clean-refs']) {
-            if (!flags.quiet) {
-              spinnies.update(repository.fullName, { text: `${repository.fullName} ==> Cleaning /pull refs...` })
-            }
+        if (result.releases === 'failed') {
+          this.warn(`Failed to download release assets of ${name}`)
 
-            try {
-              await Git.cleanRefs(data)
-            } catch (err) {
-              this.warn(`Failed to clean /pull refs from ${repository.fullName}`)
-              this.debug(err)
+          exitCode = exitCodes.failed
+        }
 
-              exitCode = 1
-            }
-          }
+        if (result.status === 'failed') {
+          const error = `${name}: ${result.error}`
 
-          if (!flags.quiet) {
-            spinnies.succeed(repository.fullName, { text: `${repository.fullName} ===> ${data.path}` })
-            spinnies.update('backup', { text: globalBackupText(++backupCount) })
+          reporter.fail(name, error, 'repository.failed', Object.assign({ kind }, result))
 
-            if (repositories.length > 25) {
-              setTimeout(() => {
-                spinnies.remove(repository.fullName)
-              }, 5000)
-            }
-          }
-        } catch (err) {
-          if (err.exitCode === 128) {
-            const error = `${repository.fullName}: destination path exists and is not empty`
-
-            if (!flags.quiet) {
-              spinnies.fail(repository.fullName, {
-                text: error
-              })
-            } else {
-              this.warn(error)
-            }
-          } else {
-            if (!flags.quiet) {
-              spinnies.fail(repository.fullName, { text: err.shortMessage })
-            } else {
-              this.warn(err.shortMessage)
-            }
+          if (flags.quiet) {
+            this.warn(error)
           }
 
-          this.debug(err)
+          exitCode = exitCodes.failed
+        } else {
+          reporter.succeed(name, `${name} ===> ${result.path}`, 'repository.finished', Object.assign({ kind }, result))
+          reporter.update('backup', globalBackupText(++backupCount))
+
+          if (jobs.length > 25) {
+            setTimeout(() => {
+              reporter.remove(name)
+            }, 5000)
+          }
         }
       })
 
-      if (!flags.quiet) {
-        spinnies.succeed('backup')
+      reporter.succeed('backup')
+    }
+
+    this.debug('checking for mirrors deleted or renamed upstream')
+
+    // Only repositories are compared with upstream, gists and starred repositories are fetched as a whole
+    const staleMirrors = (await Mirrors.list(args.destination)).filter(
+      (mirror) => mirror.kind === 'repositories' && upstream.indexOf(mirror.fullName) === -1
+    )
+
+    await Promise.all(staleMirrors).mapLimit(flags.parallel, async (mirror) => {
+      try {
+        const repository = await GithubAPI.get.repository(auth, mirror.fullName)
+
+        if (!repository) {
+          this.warn(`${mirror.fullName} was deleted upstream or is no longer accessible, mirror left in ${mirror.file}`)
+
+          manifest.stale.push({ fullName: mirror.fullName, path: mirror.file, status: 'deleted' })
+        } else if (repository.fullName !== mirror.fullName) {
+          this.warn(`${mirror.fullName} was renamed upstream to ${repository.fullName}, mirror left in ${mirror.file}`)
+
+          manifest.stale.push({
+            fullName: mirror.fullName,
+            path: mirror.file,
+            status: 'renamed',
+            renamedTo: repository.fullName
+          })
+        } else {
+          this.debug(mirror.fullName, 'still exists upstream but was filtered out')
+        }
+      } catch (err) {
+        this.debug(`cannot check ${mirror.fullName} upstream state`)
+        this.debug(err)
+      }
+    })
+
+    manifest.filters = {
+      type: options.type,
+      affiliation: options.affiliation,
+      match: flags.match || [],
+      exclude: flags.exclude || [],
+      forks: typeof flags.forks === 'boolean' ? flags.forks : null,
+      archived: typeof flags.archived === 'boolean' ? flags.archived : null,
+      language: flags.language || [],
+      topic: flags.topic || [],
+      pushedSince: flags['pushed-since'] || null,
+      pushedBefore: flags['pushed-before'] || null,
+      maxSize: flags['max-size'] ? +flags['max-size'] : null,
+      interactive: flags.interactive,
+      lfs: flags.lfs && gitLFS,
+      cleanRefs: flags['clean-refs'],
+      wiki: flags.wiki,
+      metadata: flags.metadata,
+      releases: flags.releases,
+      gists: flags.gists,
+      starred: flags.starred,
+      format: flags.format,
+      encryption: flags.format === 'mirror' ? [] : Encryption.methods(keys)
+    }
+
+    let manifestPath = null
+
+    try {
+      manifestPath = await Manifest.write(manifest)
+
+      this.debug('manifest written to', manifestPath)
+
+      reporter.log(`Backup manifest written to ${manifestPath}`, 'manifest.written', { path: manifestPath })
+    } catch (err) {
+      this.warn(`Cannot write backup manifest to ${args.destination}`)
+      this.debug(err)
+
+      exitCode = exitCodes.failed
+    }
+
+    if (snapshot) {
+      try {
+        await Snapshots.setLatest(root, snapshot.name)
+      } catch (err) {
+        this.warn(`Cannot point ${path.join(root, Snapshots.latestName)} to snapshot ${snapshot.name}`)
+        this.debug(err)
+
+        exitCode = exitCodes.failed
+      }
+
+      if (policy) {
+        const removed = Snapshots.select(await Snapshots.list(root), policy).filter((item) => !item.keep)
+
+        for (const item of removed) {
+          try {
+            await Snapshots.remove(item)
+
+            reporter.log(`Removed snapshot ${item.name}`, 'snapshot.removed', { snapshot: item.name })
+          } catch (err) {
+            this.warn(`Cannot remove snapshot ${item.name}`)
+            this.debug(err)
+
+            exitCode = exitCodes.failed
+          }
+        }
       }
     }
 
-    this.exit(exitCode)
+    // Nothing was backup, filters may be wrong
+    if (exitCode === exitCodes.success && !manifest.repositories.length) {
+      exitCode = exitCodes.empty
+    }
+
+    reporter.event('backup.finished', {
+      source: args.from,
+      destination: args.destination,
+      manifest: manifestPath,
+      repositories: manifest.repositories.length,
+      failed: manifest.repositories.filter((repository) => repository.status === 'failed').length,
+      duration: Date.now() - start,
+      exitCode
+    })
+
+    return exitCode
   }
 }
 
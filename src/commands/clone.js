@@ -0,0 +1,177 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+const path = require('path')
+
+const Auth = require('../lib/auth')
+const Checkouts = require('../lib/checkouts')
+const Git = require('../lib/git')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+
+const defaultParallelCount = 8
+
+class CloneCommand extends Command {
+  static description = chalk`clone working copies of repositories
+
+Unlike {yellow gbulk backup}, which makes bare mirrors, repositories are cloned with a working tree to work in.
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to clone repositories you own, run {yellow gbulk clone} without arguments
+- to clone repositories of another user or of an organization, run {yellow gbulk clone $NAME $DESTINATION}
+
+Checkouts are written in destination following {yellow --layout} ({bold ${Checkouts.defaultLayout}} by default, eg. {yellow --layout \{repo\}} for a flat layout).
+Repositories already cloned are left untouched, use {yellow gbulk pull} to update them and {yellow gbulk exec} to run commands in them.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    archived: Selection.flags.archived,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    layout: Checkouts.flags.layout,
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    output: Output.flags.output,
+    parallel: flags.string({
+      char: 'p',
+      description: 'clone multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'from',
+      description: chalk`{underline user} name or {underline organization} name to clone repositories of`
+    },
+    {
+      name: 'destination',
+      description: 'checkouts destination path (defaults to current directory)',
+      default: '.'
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(CloneCommand)
+    const reporter = Output.reporter({ mode: Output.mode(flags.output), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    try {
+      Selection.check(flags)
+      Checkouts.check(flags.layout)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Default to authenticated user
+    args.from = args.from || auth.user
+
+    this.debug('checking git command availability')
+
+    await Git.check()
+
+    let repositories = []
+
+    reporter.start('fetch', `Fetching repositories of ${args.from}`)
+
+    try {
+      repositories = await Selection.fetch({ auth, from: args.from, options: Selection.options(flags) })
+    } catch (err) {
+      reporter.fail('fetch')
+
+      this.debug(err)
+      this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+    }
+
+    reporter.succeed('fetch')
+
+    repositories = Selection.filter(repositories, flags)
+
+    if (!repositories.length) {
+      this.warn('No repositories to clone.')
+      this.exit(1)
+    }
+
+    const results = []
+
+    await Promise.all(repositories).mapLimit(flags.parallel, async (repository) => {
+      const name = repository.fullName
+      const checkout = Checkouts.path(args.destination, repository, flags.layout)
+      const result = { fullName: name, path: checkout, status: null, error: null }
+
+      reporter.start(name, `${name} ==> Cloning...`, 'repository.started', { repository: name })
+
+      try {
+        if (await Checkouts.isCheckout(checkout)) {
+          result.status = 'skipped'
+        } else {
+          await fs.promises.mkdir(path.dirname(checkout), { recursive: true })
+          await Git.checkout({ path: checkout, url: repository.urls.https, token: auth.token })
+
+          result.status = 'cloned'
+        }
+      } catch (err) {
+        this.debug(err)
+
+        result.status = 'failed'
+        result.error = err.shortMessage || err.message
+      }
+
+      results.push(result)
+
+      if (result.status === 'failed') {
+        reporter.fail(name, `${name}: ${result.error}`, 'repository.failed', result)
+
+        if (flags.quiet) {
+          this.warn(`${name}: ${result.error}`)
+        }
+
+        exitCode = 1
+      } else {
+        reporter.succeed(
+          name,
+          `${name} ===> ${checkout}${result.status === 'skipped' ? ' (already cloned)' : ''}`,
+          'repository.finished',
+          result
+        )
+      }
+    })
+
+    const count = (status) => results.filter((result) => result.status === status).length
+
+    reporter.log(
+      `${count('cloned')} cloned, ${count('skipped')} already cloned, ${count('failed')} failed.`,
+      'clone.finished',
+      { cloned: count('cloned'), skipped: count('skipped'), failed: count('failed') }
+    )
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = CloneCommand
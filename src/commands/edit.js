@@ -0,0 +1,342 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+const inquirer = require('inquirer')
+
+const Auth = require('../lib/auth')
+const GithubAPI = require('../lib/github-api')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+const Settings = require('../lib/settings')
+
+const defaultParallelCount = 8
+const selectionFlags = [
+  'public',
+  'private',
+  'owner',
+  'collaborator',
+  'member',
+  'exclude',
+  'match',
+  'forks',
+  'archived',
+  'language',
+  'topic',
+  'pushed-since',
+  'pushed-before',
+  'max-size'
+]
+
+class EditCommand extends Command {
+  static description = chalk`edit settings of repositories
+
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to edit repositories you own, run {yellow gbulk edit} without arguments
+- to edit repositories of an organization, run {yellow gbulk edit $ORGNAME}
+
+Settings to change are given as flags, eg. {yellow gbulk edit --add-topic cli --no-wiki --default-branch main}.
+Settings of each repository are compared to target values, a diff of repositories to change is shown and must be confirmed before anything is changed.
+Previous values are written to a record file first, run {yellow gbulk edit --revert $RECORD} to restore them.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    archived: Selection.flags.archived,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    ...Settings.flags,
+    record: flags.string({
+      description: 'path of record file of previous values (defaults to gbulk-edit-$DATE.json in current directory)'
+    }),
+    revert: flags.string({
+      description: 'restore previous values from specified record file',
+      exclusive: selectionFlags
+    }),
+    'dry-run': flags.boolean({
+      char: 'n',
+      description: 'show diff without changing anything',
+      default: false
+    }),
+    yes: flags.boolean({
+      char: 'y',
+      description: 'do not ask for confirmation',
+      default: false
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'update multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'from',
+      description: chalk`{underline user} name or {underline organization} name to select repositories from`
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(EditCommand)
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let changes = null
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    try {
+      Selection.check(flags)
+      changes = Settings.changes(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    if (!changes && !flags.revert) {
+      this.error(chalk`No settings to change, see {yellow gbulk edit --help}`)
+    }
+
+    // Disabling flags (eg. --no-wiki) are not caught by exclusive flags
+    if (changes && flags.revert) {
+      this.error('Settings cannot be changed while reverting an edit')
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Default to authenticated user
+    args.from = args.from || auth.user
+
+    try {
+      Auth.checkScopes(
+        auth,
+        flags.private || flags.revert ? { repo: 'edit private repositories' } : { public_repo: 'edit repositories' }
+      )
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Target values of each selected repository
+    let targets = []
+
+    if (flags.revert) {
+      const record = await this.read(flags.revert)
+
+      args.from = record.source
+      targets = record.repositories.map((entry) => ({ fullName: entry.fullName, values: entry.before }))
+    } else {
+      let repositories = []
+
+      reporter.start('fetch', `Fetching repositories of ${args.from}`)
+
+      try {
+        repositories = await Selection.fetch({ auth, from: args.from, options: Selection.options(flags) })
+      } catch (err) {
+        reporter.fail('fetch')
+
+        this.debug(err)
+        this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+      }
+
+      reporter.succeed('fetch')
+
+      targets = Selection.filter(repositories, flags).map((repository) => ({ fullName: repository.fullName }))
+    }
+
+    // Repositories list lacks some settings (eg. merge options), which are only given by repository details
+    reporter.start('details', `Fetching settings of ${targets.length} repositories`)
+
+    const edits = []
+
+    await Promise.all(targets).mapLimit(flags.parallel, async (target) => {
+      let repository
+
+      try {
+        repository = await GithubAPI.get.repository(auth, target.fullName)
+      } catch (err) {
+        this.debug(err)
+        this.warn(`Cannot fetch settings of ${target.fullName}: ${err.message || err}`)
+
+        exitCode = 1
+
+        return
+      }
+
+      if (!repository) {
+        this.warn(`${target.fullName} does not exist anymore, skipping it.`)
+
+        return
+      }
+
+      const diff = Settings.diff(repository, target.values || Settings.target(repository, changes))
+
+      if (diff.length) {
+        edits.push({ fullName: repository.fullName, diff })
+      }
+    })
+
+    reporter.succeed('details')
+
+    if (!edits.length) {
+      this.warn('No repositories to edit, selected repositories already have these settings.')
+      this.exit(exitCode || 1)
+    }
+
+    edits.sort((a, b) => a.fullName.localeCompare(b.fullName))
+
+    this.log(`The following ${edits.length} repositories will be edited:`)
+
+    for (const edit of edits) {
+      this.log(chalk`  {bold ${edit.fullName}}`)
+
+      for (const { name, before, after } of edit.diff) {
+        this.log(chalk.red(`    - ${name}: ${Settings.format(name, before)}`))
+        this.log(chalk.green(`    + ${name}: ${Settings.format(name, after)}`))
+      }
+    }
+
+    if (flags['dry-run']) {
+      this.exit(exitCode)
+    }
+
+    if (!flags.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'confirm',
+          message: `Edit ${edits.length} repositories?`,
+          choices: ['Yes', 'No']
+        }
+      ])
+
+      if (confirm === 'No') {
+        this.exit(0)
+      }
+    }
+
+    const record = flags.record || `gbulk-edit-${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+
+    // Record is written before any change, so that partially applied edits can be reverted too
+    try {
+      await fs.promises.writeFile(
+        record,
+        JSON.stringify(
+          {
+            date: new Date().toISOString(),
+            user: auth.user,
+            source: args.from,
+            repositories: edits.map((edit) => ({
+              fullName: edit.fullName,
+              before: values(edit.diff, 'before'),
+              after: values(edit.diff, 'after')
+            }))
+          },
+          null,
+          2
+        )
+      )
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot write record file ${record}`)
+    }
+
+    let edited = 0
+
+    await Promise.all(edits).mapLimit(flags.parallel, async (edit) => {
+      reporter.start(edit.fullName, `${edit.fullName} ==> Editing...`)
+
+      try {
+        await Settings.update(auth, edit.fullName, values(edit.diff, 'after'))
+
+        reporter.succeed(edit.fullName, `${edit.fullName} ===> Edited`)
+
+        edited++
+      } catch (err) {
+        const error = `${edit.fullName}: ${err.message || err}`
+
+        reporter.fail(edit.fullName, error)
+
+        if (flags.quiet) {
+          this.warn(error)
+        }
+
+        this.debug(err)
+
+        exitCode = 1
+      }
+    })
+
+    this.log(`${edited}/${edits.length} repositories edited.`)
+    this.log(
+      chalk`Previous values were written to ${record}, run {yellow gbulk edit --revert ${record}} to restore them.`
+    )
+
+    this.exit(exitCode)
+  }
+
+  /**
+   * Read a record file written by a previous edit
+   * @param {String} file Record file path
+   * @returns {Object<source: String, repositories: Array<Object<fullName: String, before: Object>>>} Record
+   */
+  async read(file) {
+    let record
+
+    try {
+      record = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read record file ${file}`)
+    }
+
+    const valid =
+      record &&
+      Array.isArray(record.repositories) &&
+      record.repositories.every(
+        (entry) =>
+          entry &&
+          typeof entry.fullName === 'string' &&
+          entry.before &&
+          Object.keys(entry.before).every((name) => Settings.names.indexOf(name) !== -1)
+      )
+
+    if (!valid) {
+      this.error(`${file} is not a record file of gbulk edit`)
+    }
+
+    return record
+  }
+}
+
+/**
+ * Get settings values of one side of a diff
+ * @param {Array<Object<name: String, before: *, after: *>>} diff Diff, see `Settings.diff`
+ * @param {String} side `before` or `after`
+ * @returns {Object} Settings values by setting name
+ */
+const values = function(diff, side) {
+  return diff.reduce((acc, setting) => Object.assign(acc, { [setting.name]: setting[side] }), {})
+}
+
+module.exports = EditCommand
@@ -0,0 +1,130 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const execa = require('execa')
+const fs = require('fs')
+
+const Checkouts = require('../lib/checkouts')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+const Table = require('../lib/table')
+
+const defaultParallelCount = 4
+
+class ExecCommand extends Command {
+  static description = chalk`run a shell command in working copies of repositories
+
+Command is run in all working trees found in directory (whatever their layout, see {yellow gbulk clone}), eg. {yellow gbulk exec -- git log -1 --oneline}.
+Everything after {yellow --} is run by shell, with {bold GBULK_REPOSITORY} environment variable set to checkout name (its path relative to directory).
+Quote pipes, redirections and variables so that they are run in each working tree, eg. {yellow gbulk exec -- 'git log -1 --format=%an > author.txt'}.
+Output of each command is shown once it exits, then a report of exit statuses.
+Command exits with a non-zero code if command failed in any working tree.`
+
+  static strict = false
+
+  static usage = 'exec [OPTIONS] -- COMMAND'
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    directory: flags.string({
+      char: 'd',
+      description: 'checkouts directory path',
+      default: '.'
+    }),
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    output: Output.flags.output,
+    parallel: flags.string({
+      char: 'p',
+      description: 'run command in multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  async run() {
+    const { argv, flags } = this.parse(ExecCommand)
+    const reporter = Output.reporter({ mode: Output.mode(flags.output), quiet: flags.quiet, log: this.log.bind(this) })
+    const command = argv.join(' ')
+    let exitCode = 0
+
+    if (!command) {
+      this.error('No command given, add it after -- (eg. gbulk exec -- git status)')
+    }
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    this.debug('checking directory path', flags.directory)
+
+    try {
+      await fs.promises.access(flags.directory)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read checkouts directory ${flags.directory}`)
+    }
+
+    const checkouts = Selection.filter(await Checkouts.list(flags.directory), flags)
+
+    if (!checkouts.length) {
+      this.warn('No repositories to run command in.')
+      this.exit(1)
+    }
+
+    const results = []
+
+    await Promise.all(checkouts).mapLimit(flags.parallel, async (checkout) => {
+      const start = Date.now()
+
+      reporter.event('repository.started', { repository: checkout.name, command })
+
+      // Failing commands are reported, not thrown
+      const { exitCode: code, all } = await execa(command, {
+        shell: true,
+        cwd: checkout.path,
+        env: { GBULK_REPOSITORY: checkout.name },
+        all: true,
+        reject: false
+      })
+      const result = { name: checkout.name, path: checkout.path, exitCode: code, duration: Date.now() - start }
+
+      results.push(result)
+
+      if (code !== 0) {
+        exitCode = 1
+      }
+
+      reporter.log(
+        chalk`{bold ==> ${checkout.name}} ${code === 0 ? chalk.green('✓') : chalk.red(`✖ exit code ${code}`)}${
+          all ? `\n${all}` : ''
+        }`,
+        'repository.finished',
+        Object.assign({ output: all }, result)
+      )
+    })
+
+    results.sort((a, b) => a.name.localeCompare(b.name))
+
+    reporter.log(
+      Table.render(results, [
+        { key: 'name', header: 'REPOSITORY' },
+        { key: 'exitCode', header: 'EXIT CODE' }
+      ])
+    )
+
+    const failed = results.filter((result) => result.exitCode !== 0).length
+
+    reporter.log(`Command succeeded in ${results.length - failed}/${results.length} repositories.`, 'exec.finished', {
+      command,
+      repositories: results.length,
+      failed
+    })
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = ExecCommand
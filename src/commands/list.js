@@ -0,0 +1,166 @@
+const { Command, flags } = require('@oclif/command')
+const chalk = require('chalk')
+
+const Auth = require('../lib/auth')
+const Selection = require('../lib/selection')
+const Table = require('../lib/table')
+
+// Columns that can be listed, named after their CSV header and JSON key
+const columns = {
+  name: { header: 'NAME', key: 'name', value: (repository) => repository.fullName },
+  visibility: {
+    header: 'VISIBILITY',
+    key: 'visibility',
+    value: (repository) => (repository.private ? 'private' : 'public')
+  },
+  fork: { header: 'FORK', key: 'fork', value: (repository) => !!repository.fork },
+  archived: { header: 'ARCHIVED', key: 'archived', value: (repository) => !!repository.archived },
+  language: { header: 'LANGUAGE', key: 'language', value: (repository) => repository.language || null },
+  pushed: { header: 'LAST PUSH', key: 'pushedAt', value: (repository) => repository.pushedAt || null },
+  size: { header: 'SIZE (KB)', key: 'size', value: (repository) => repository.size },
+  'default-branch': {
+    header: 'DEFAULT BRANCH',
+    key: 'defaultBranch',
+    value: (repository) => repository.defaultBranch || null
+  }
+}
+const outputs = ['table', 'csv', 'json']
+
+class ListCommand extends Command {
+  static description = chalk`list repositories
+
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to list repositories you own, run {yellow gbulk list} without arguments
+- to list repositories of another user or of an organization, run {yellow gbulk list $NAME}
+
+Repositories are listed as a table, as CSV with {yellow --output csv} or as JSON with {yellow --output json}.
+Choose columns with {yellow --columns} (eg. {yellow --columns name,language,size}) among name, visibility, fork, archived, language, pushed, size
+and default-branch (all by default).
+Sort rows on a column with {yellow --sort} (eg. {yellow --sort size --reverse} lists biggest repositories first).`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    archived: Selection.flags.archived,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    output: flags.string({
+      char: 'o',
+      description: 'output format',
+      options: outputs,
+      default: 'table'
+    }),
+    columns: flags.string({
+      char: 'c',
+      description: 'comma separated columns to list (defaults to all columns)'
+    }),
+    sort: flags.string({
+      char: 's',
+      description: 'column to sort repositories on',
+      options: Object.keys(columns),
+      default: 'name'
+    }),
+    reverse: flags.boolean({
+      char: 'r',
+      description: 'sort in descending order',
+      default: false
+    })
+  }
+
+  static args = [
+    {
+      name: 'from',
+      description: chalk`{underline user} name or {underline organization} name to list repositories of`
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(ListCommand)
+
+    try {
+      Selection.check(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    const selected = flags.columns ? flags.columns.split(',').map((column) => column.trim()) : Object.keys(columns)
+    const unknown = selected.filter((column) => !columns[column])
+
+    if (unknown.length) {
+      this.error(`Unknown column ${unknown.join(', ')}, expected one of ${Object.keys(columns).join(', ')}`)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Default to authenticated user
+    args.from = args.from || auth.user
+
+    let repositories = []
+
+    try {
+      repositories = await Selection.fetch({ auth, from: args.from, options: Selection.options(flags) })
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+    }
+
+    const listed = selected.map((column) => columns[column])
+    const sorted = columns[flags.sort]
+    const rows = Selection.filter(repositories, flags)
+      .sort((a, b) => compare(sorted.value(a), sorted.value(b), flags.reverse))
+      .map((repository) =>
+        listed.reduce((row, column) => Object.assign(row, { [column.key]: column.value(repository) }), {})
+      )
+
+    if (flags.output === 'json') {
+      this.log(JSON.stringify(rows, null, 2))
+    } else if (flags.output === 'csv') {
+      this.log(
+        Table.csv(
+          rows,
+          listed.map((column) => ({ key: column.key, header: column.key }))
+        )
+      )
+    } else if (!rows.length) {
+      this.warn('No repositories found.')
+    } else {
+      this.log(Table.render(rows, listed))
+    }
+  }
+}
+
+/**
+ * Compare column values, missing values come last in both orders
+ * @param {*} a Value
+ * @param {*} b Value
+ * @param {Boolean} reverse Whether order is descending
+ * @returns {Number} Comparison result
+ */
+const compare = function(a, b, reverse) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return 1
+  if (b === null || b === undefined) return -1
+
+  const order = typeof a === 'string' ? a.localeCompare(b) : a < b ? -1 : 1
+
+  return reverse ? -order : order
+}
+
+module.exports = ListCommand
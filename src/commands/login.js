@@ -1,18 +1,42 @@
 const { Command, flags } = require('@oclif/command')
 const chalk = require('chalk')
+const fs = require('fs')
 const inquirer = require('inquirer')
 
-const config = require('../config')
+const Auth = require('../lib/auth')
 const GithubAPI = require('../lib/github-api')
 
 class LoginCommand extends Command {
   static description = chalk`login to Github
 
 To authenticate to Github with {bold gbulk}, go grab a personal access token at https://github.com/settings/tokens
-Each command needs access to different scopes, see individual command help section to know which scopes are needed.`
+Each command needs access to different scopes, see individual command help section to know which scopes are needed.
+A warning is shown when token lacks scopes needed to work with all repositories (repo, read:org and gist).
+
+To login without prompt (eg. in CI), give token through {bold GBULK_TOKEN} environment variable, or with {yellow --token-file} (use - to read it from standard input).
+
+To authenticate to a Github Enterprise Server, run {yellow gbulk login --host $HOST} (API is expected at https://$HOST/api/v3, use {yellow --api} otherwise).
+
+Authentication details are stored in a named profile, so that you can be logged in with several accounts at the same time:
+- run {yellow gbulk login --profile $NAME} to login in another profile
+- other commands use default profile, or the one given with {yellow --profile}
+- run {yellow gbulk profiles} to list profiles and change default one`
 
   static flags = {
     help: flags.help({ char: 'h' }),
+    profile: flags.string({
+      description: 'profile to store authentication details in (defaults to default profile)'
+    }),
+    host: flags.string({
+      description: 'Github host to login to (eg. a Github Enterprise Server host)',
+      default: Auth.defaultHost
+    }),
+    api: flags.string({
+      description: 'Github API base URL, if it is not the default one of host'
+    }),
+    'token-file': flags.string({
+      description: 'read token from specified file, or from standard input with -'
+    }),
     verbose: flags.boolean({
       char: 'v',
       description: 'verbose mode',
@@ -23,14 +47,17 @@ Each command needs access to different scopes, see individual command help secti
   async run() {
     const { args, flags } = this.parse(LoginCommand)
 
-    const auth = config.get('auth')
+    const profile = Auth.profile(flags.profile)
+    const auth = Auth.get(profile)
+    let token = await this.token(flags)
 
-    if (auth && auth.user) {
+    // Token given without prompt replaces current one without confirmation
+    if (!token && auth && auth.user) {
       const { confirm } = await inquirer.prompt([
         {
           type: 'list',
           name: 'confirm',
-          message: `You are already logged in as ${auth.user}. Change user?`,
+          message: `Profile ${profile} is already logged in to ${auth.host} as ${auth.user}. Change user?`,
           choices: ['Yes', 'No']
         }
       ])
@@ -40,40 +67,103 @@ Each command needs access to different scopes, see individual command help secti
       }
     }
 
-    const { token } = await inquirer.prompt([
-      {
-        type: 'password',
-        name: 'token',
-        message: 'Enter your personnal access token',
-        validate: (token) => {
-          if (!token) {
-            return 'Token is required'
+    if (!token) {
+      const answers = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'token',
+          message: 'Enter your personnal access token',
+          validate: (token) => {
+            if (!token) {
+              return 'Token is required'
+            }
+
+            return true
           }
-
-          return true
         }
-      }
-    ])
+      ])
+
+      token = answers.token
+    }
+
+    const api = flags.api || Auth.api(flags.host)
+
+    let missing = []
 
     try {
-      const user = await GithubAPI.get.user(token)
+      const user = await GithubAPI.get.user({ token, api })
 
-      config.set('auth', {
+      Auth.set(profile, {
         token,
-        user: user.login
+        user: user.login,
+        host: flags.host,
+        api,
+        scopes: user.scopes
       })
 
-      flags.verbose && this.log('Logged in as', user.login)
+      flags.verbose && this.log('Logged in to', flags.host, 'as', user.login, 'in profile', profile)
+
+      missing = Auth.missingScopes(user, Object.keys(Auth.recommendedScopes))
     } catch (err) {
-      config.set('auth', {})
+      Auth.delete(profile)
 
       if (auth && auth.user) {
-        this.warn(`${auth.user} was logged out`)
+        this.warn(`${auth.user} was logged out from profile ${profile}`)
       }
 
       this.error(err)
     }
+
+    if (missing.length) {
+      const reasons = missing.map((scope) => `${scope} (needed to ${Auth.recommendedScopes[scope]})`).join(', ')
+
+      this.warn(`Token is missing some scopes, commands needing them will fail: ${reasons}`)
+    }
   }
+
+  /**
+   * Read token given without prompt, from a file, standard input or environment
+   * @param {Object} flags Parsed command flags
+   * @returns {String?} Token, undefined if none was given
+   */
+  async token(flags) {
+    if (flags['token-file']) {
+      try {
+        const content =
+          flags['token-file'] === '-' ? await readStdin() : await fs.promises.readFile(flags['token-file'], 'utf8')
+
+        if (!content.trim()) {
+          throw new Error('file is empty')
+        }
+
+        return content.trim()
+      } catch (err) {
+        this.debug(err)
+        this.error(`Cannot read token from ${flags['token-file']}: ${err.message}`)
+      }
+    }
+
+    if (process.env.GBULK_TOKEN) {
+      this.debug('using token from GBULK_TOKEN environment variable')
+
+      return process.env.GBULK_TOKEN.trim()
+    }
+  }
+}
+
+/**
+ * Read standard input until its end
+ * @returns {String} Standard input content
+ */
+const readStdin = function() {
+  return new Promise((resolve, reject) => {
+    let data = ''
+
+    process.stdin.setEncoding('utf8')
+    process.stdin.on('data', (chunk) => (data += chunk))
+    process.stdin.on('end', () => resolve(data))
+    process.stdin.on('error', reject)
+  })
 }
 
 module.exports = LoginCommand
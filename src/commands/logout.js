@@ -1,21 +1,41 @@
 const { Command, flags } = require('@oclif/command')
 const chalk = require('chalk')
 
-const config = require('../config')
+const Auth = require('../lib/auth')
 
 class LogoutCommand extends Command {
-  static description = `logout from Github
+  static description = chalk`logout from Github
 
-Erase authentication details from configuration file`
+Erase authentication details of default profile, or of profile given with {yellow --profile}, from configuration file`
 
   static flags = {
-    help: flags.help({ char: 'h' })
+    help: flags.help({ char: 'h' }),
+    profile: flags.string({
+      description: 'profile to logout from (defaults to default profile)',
+      exclusive: ['all']
+    }),
+    all: flags.boolean({
+      description: 'logout from all profiles',
+      default: false
+    })
   }
 
   async run() {
     const { args, flags } = this.parse(LogoutCommand)
 
-    config.set('auth', {})
+    if (flags.all) {
+      const profiles = Auth.clear()
+
+      this.debug('erased profiles', profiles.join(','))
+
+      return
+    }
+
+    const profile = Auth.profile(flags.profile)
+
+    if (!Auth.delete(profile)) {
+      this.warn(`Profile ${profile} is not logged in.`)
+    }
   }
 }
 
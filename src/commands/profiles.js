@@ -0,0 +1,54 @@
+const { Command, flags } = require('@oclif/command')
+const chalk = require('chalk')
+
+const Auth = require('../lib/auth')
+const Table = require('../lib/table')
+
+class ProfilesCommand extends Command {
+  static description = chalk`list login profiles
+
+Show user and Github host of each profile created with {yellow gbulk login --profile $NAME}.
+Default profile (marked with *) is used by commands run without {yellow --profile}, change it with {yellow --default}.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    default: flags.string({
+      char: 'd',
+      description: 'set default profile'
+    })
+  }
+
+  async run() {
+    const { flags } = this.parse(ProfilesCommand)
+
+    if (flags.default) {
+      try {
+        Auth.setDefault(flags.default)
+      } catch (err) {
+        this.error(err.message)
+      }
+    }
+
+    const profiles = Auth.list()
+
+    if (!profiles.length) {
+      this.warn(chalk`No profiles, please run {yellow gbulk login} first.`)
+      this.exit(1)
+    }
+
+    this.log(
+      Table.render(
+        profiles.map((profile) => Object.assign({}, profile, { current: profile.default ? '*' : '' })),
+        [
+          { key: 'current', header: '' },
+          { key: 'name', header: 'PROFILE' },
+          { key: 'user', header: 'USER' },
+          { key: 'host', header: 'HOST' },
+          { key: 'api', header: 'API' }
+        ]
+      )
+    )
+  }
+}
+
+module.exports = ProfilesCommand
@@ -0,0 +1,122 @@
+const { Command, flags } = require('@oclif/command')
+const chalk = require('chalk')
+const fs = require('fs')
+
+const Snapshots = require('../lib/snapshots')
+const Table = require('../lib/table')
+
+class PruneCommand extends Command {
+  static description = chalk`remove old backup snapshots
+
+Snapshots written by {yellow gbulk backup --snapshot} are kept according to retention rules, other ones are removed:
+- {yellow --keep-last N} keeps N most recent snapshots
+- {yellow --keep-daily N}, {yellow --keep-weekly N} and {yellow --keep-monthly N} keep most recent snapshot of each of the N most recent days, weeks and months with snapshots
+Rules add up, snapshot pointed to by $DESTINATION/latest is always kept.
+Use {yellow --dry-run} to preview which snapshots would be removed.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    'keep-last': Snapshots.flags['keep-last'],
+    'keep-daily': Snapshots.flags['keep-daily'],
+    'keep-weekly': Snapshots.flags['keep-weekly'],
+    'keep-monthly': Snapshots.flags['keep-monthly'],
+    'dry-run': flags.boolean({
+      char: 'n',
+      description: 'show which snapshots would be removed without removing them',
+      default: false
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    })
+  }
+
+  static args = [
+    {
+      name: 'destination',
+      description: 'snapshots destination path',
+      required: true
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(PruneCommand)
+    let exitCode = 0
+    let policy = null
+
+    try {
+      policy = Snapshots.policy(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    if (!policy) {
+      this.error('No retention rule given, use --keep-last, --keep-daily, --keep-weekly or --keep-monthly')
+    }
+
+    this.debug('checking destination path', args.destination)
+
+    try {
+      await fs.promises.access(args.destination)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read snapshots directory ${args.destination}`)
+    }
+
+    const snapshots = Snapshots.select(await Snapshots.list(args.destination), policy)
+
+    if (!snapshots.length) {
+      this.warn(`No snapshots in ${args.destination}.`)
+      this.exit(1)
+    }
+
+    const removed = snapshots.filter((snapshot) => !snapshot.keep)
+
+    if (!flags.quiet || flags['dry-run']) {
+      this.log(
+        Table.render(
+          snapshots.map((snapshot) =>
+            Object.assign({}, snapshot, {
+              action: snapshot.keep ? 'keep' : flags['dry-run'] ? 'would remove' : 'remove',
+              reasons: snapshot.reasons.join(', ')
+            })
+          ),
+          [
+            { key: 'name', header: 'SNAPSHOT' },
+            { key: 'action', header: 'ACTION' },
+            { key: 'reasons', header: 'KEPT BY' }
+          ]
+        )
+      )
+    }
+
+    if (flags['dry-run']) {
+      this.log(`${removed.length}/${snapshots.length} snapshots would be removed.`)
+      this.exit(0)
+    }
+
+    let count = 0
+
+    for (const snapshot of removed) {
+      try {
+        await Snapshots.remove(snapshot)
+
+        count++
+      } catch (err) {
+        this.warn(`Cannot remove snapshot ${snapshot.name}`)
+        this.debug(err)
+
+        exitCode = 1
+      }
+    }
+
+    if (!flags.quiet) {
+      this.log(`${count}/${snapshots.length} snapshots removed.`)
+    }
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = PruneCommand
@@ -0,0 +1,176 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+
+const Auth = require('../lib/auth')
+const Checkouts = require('../lib/checkouts')
+const Git = require('../lib/git')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+const Table = require('../lib/table')
+
+const defaultParallelCount = 8
+
+class PullCommand extends Command {
+  static description = chalk`update working copies of repositories
+
+All working trees found in directory (whatever their layout, see {yellow gbulk clone}) are fetched in parallel,
+then their current branch is fast-forwarded to its upstream branch. Trees that cannot be fast-forwarded are left as is and reported:
+- {bold dirty} trees, with changed or untracked files
+- {bold diverged} trees, whose branch has commits that its upstream branch does not have
+- trees on a detached HEAD or on a branch without upstream branch
+
+A report of all trees is shown, command exits with a non-zero code if any tree could not be fetched or updated.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    output: Output.flags.output,
+    parallel: flags.string({
+      char: 'p',
+      description: 'update multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'directory',
+      description: 'checkouts directory path (defaults to current directory)',
+      default: '.'
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(PullCommand)
+    const reporter = Output.reporter({ mode: Output.mode(flags.output), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    // Checkouts made by gbulk clone fetch with token of profile, other ones may use their own credentials
+    const auth = Auth.get(flags.profile)
+
+    this.debug('checking git command availability')
+
+    await Git.check()
+
+    this.debug('checking directory path', args.directory)
+
+    try {
+      await fs.promises.access(args.directory)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read checkouts directory ${args.directory}`)
+    }
+
+    const checkouts = Selection.filter(await Checkouts.list(args.directory), flags)
+
+    if (!checkouts.length) {
+      this.warn('No repositories to update.')
+      this.exit(1)
+    }
+
+    const results = []
+
+    await Promise.all(checkouts).mapLimit(flags.parallel, async (checkout) => {
+      const name = checkout.name
+      const result = { name, path: checkout.path, branch: null, status: null, details: '' }
+
+      reporter.start(name, `${name} ==> Fetching...`, 'repository.started', { repository: name })
+
+      try {
+        // Token is never given to remotes on other hosts than the one of profile
+        const trusted =
+          auth && auth.token && (await Git.remoteUrls(checkout)).every((url) => url.startsWith(`https://${auth.host}/`))
+
+        await Git.fetch({ path: checkout.path, token: trusted ? auth.token : null })
+
+        const status = await Git.status(checkout)
+
+        result.branch = status.branch
+
+        if (!status.branch) {
+          result.status = 'detached'
+          result.details = 'HEAD is detached, fetched only'
+        } else if (!status.upstream) {
+          result.status = 'no upstream'
+          result.details = `${status.branch} has no upstream branch, fetched only`
+        } else if (status.ahead && status.behind) {
+          result.status = 'diverged'
+          result.details = `${status.ahead} commits ahead and ${status.behind} commits behind ${status.upstream}`
+        } else if (status.changes) {
+          result.status = 'dirty'
+          result.details = `${status.changes} changed or untracked files${
+            status.behind ? `, ${status.behind} commits behind ${status.upstream}` : ''
+          }`
+        } else if (status.behind) {
+          reporter.update(name, `${name} ==> Fast-forwarding...`)
+
+          await Git.fastForward(checkout)
+
+          result.status = 'updated'
+          result.details = `${status.behind} new commits`
+        } else {
+          result.status = 'up to date'
+          result.details = status.ahead ? `${status.ahead} commits ahead of ${status.upstream}` : ''
+        }
+      } catch (err) {
+        this.debug(err)
+
+        result.status = 'failed'
+        result.details = Git.errorLine(err)
+      }
+
+      results.push(result)
+
+      const text = `${name}: ${result.status}${result.details ? ` (${result.details})` : ''}`
+
+      if (result.status === 'failed') {
+        reporter.fail(name, text, 'repository.failed', result)
+
+        if (flags.quiet) {
+          this.warn(text)
+        }
+
+        exitCode = 1
+      } else {
+        reporter.succeed(name, text, 'repository.finished', result)
+      }
+    })
+
+    results.sort((a, b) => a.name.localeCompare(b.name))
+
+    reporter.log(
+      Table.render(results, [
+        { key: 'name', header: 'REPOSITORY' },
+        { key: 'branch', header: 'BRANCH' },
+        { key: 'status', header: 'STATUS' },
+        { key: 'details', header: 'DETAILS' }
+      ])
+    )
+
+    const statuses = results.reduce(
+      (acc, result) => Object.assign(acc, { [result.status]: (acc[result.status] || 0) + 1 }),
+      {}
+    )
+    const upToDate = (statuses.updated || 0) + (statuses['up to date'] || 0)
+
+    reporter.log(`${upToDate}/${results.length} repositories up to date.`, 'pull.finished', {
+      repositories: results.length,
+      statuses
+    })
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = PullCommand
@@ -0,0 +1,368 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Auth = require('../lib/auth')
+const Encryption = require('../lib/encryption')
+const GithubAPI = require('../lib/github-api')
+const Git = require('../lib/git')
+const Manifest = require('../lib/manifest')
+const Mirrors = require('../lib/mirrors')
+const Output = require('../lib/output')
+const Package = require('../lib/package')
+const Selection = require('../lib/selection')
+
+const defaultParallelCount = 8
+
+class RestoreCommand extends Command {
+  static description = chalk`restore repositories from a backup
+
+With {bold gbulk}, you can push mirrors made by {yellow gbulk backup} back to Github:
+- to restore repositories in your account, run {yellow gbulk restore $BACKUP_PATH}
+- to restore repositories in an organization, run {yellow gbulk restore $BACKUP_PATH $ORGNAME}
+
+Missing repositories are created with their original privacy and description (read from backup manifest, or from original repository if it still exists).
+Existing repositories that are not empty are not overwritten, unless {yellow --force} is used.
+Mirrors packaged by {yellow gbulk backup --format} are unpacked to a temporary directory, after checking their checksums.
+Encrypted packages are decrypted with passphrase read from {yellow --passphrase-file} (or {bold GBULK_PASSPHRASE} environment variable), or with {yellow --private-key}.
+
+Git LFS objects will be restored if {bold git-lfs} is available in path.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    'passphrase-file': Encryption.flags['passphrase-file'],
+    'private-key': Encryption.flags['private-key'],
+    'dry-run': flags.boolean({
+      char: 'n',
+      description: 'show what would be restored without changing anything',
+      default: false
+    }),
+    force: flags.boolean({
+      char: 'f',
+      description: 'overwrite branches and tags of repositories that are not empty',
+      default: false
+    }),
+    lfs: flags.boolean({
+      description: 'include LFS objects in restore',
+      default: true,
+      allowNo: true
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'restore multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'source',
+      description: 'backup path to restore from',
+      required: true
+    },
+    {
+      name: 'to',
+      description: chalk`{underline user} name or {underline organization} name to restore to`
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(RestoreCommand)
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    let keys = null
+
+    try {
+      keys = await Encryption.keys(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    // Default to authenticated user
+    args.to = args.to || auth.user
+
+    this.debug('checking git command availability')
+
+    await Git.check()
+
+    this.debug('git command available')
+
+    let gitLFS = false
+
+    if (flags.lfs) {
+      this.debug('checking git lfs availability')
+
+      gitLFS = await Git.LFS.check()
+
+      if (!gitLFS) {
+        this.warn('Git LFS is not installed, objects stored through LFS will not be restored.')
+      }
+    } else {
+      this.debug('restore will skip lfs objects')
+    }
+
+    this.debug('checking source path', args.source)
+
+    try {
+      await fs.promises.access(args.source)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read backup directory ${args.source}`)
+    }
+
+    const found = Selection.filter(await Mirrors.list(args.source), flags)
+    // Gists cannot be restored as repositories
+    const mirrors = found.filter((mirror) => mirror.kind !== 'gists')
+
+    if (mirrors.length < found.length) {
+      this.warn(`${found.length - mirrors.length} gists cannot be restored, they are skipped.`)
+    }
+
+    if (!mirrors.length) {
+      this.warn('No repositories to restore.')
+      this.exit(1)
+    }
+
+    let manifest = null
+
+    try {
+      manifest = await Manifest.latest(args.source)
+    } catch (err) {
+      this.warn(`Cannot read backup manifest from ${args.source}, repositories details will be fetched from Github`)
+      this.debug(err)
+    }
+
+    let account
+
+    try {
+      account = await GithubAPI.get.user(auth, args.to)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot find user or organization ${args.to}: ${err.message || err}`)
+    }
+
+    const org = account.type === 'Organization' ? account.login : undefined
+
+    if (!org && account.login !== auth.user) {
+      this.error(
+        `Cannot restore repositories to ${account.login}: you can only restore to your account or to an organization`
+      )
+    }
+
+    // Mirrors of different owners may share a name, they would be pushed over each other
+    const targets = {}
+
+    for (const mirror of mirrors) {
+      const key = mirror.name.toLowerCase()
+      const name = Mirrors.label(mirror)
+
+      if (targets[key]) {
+        this.error(
+          `${targets[key]} and ${name} would both be restored to ${account.login}/${key}, use --exclude to restore them separately`
+        )
+      }
+
+      targets[key] = name
+    }
+
+    const details = {}
+
+    await Promise.all(mirrors).mapLimit(flags.parallel, async (mirror) => {
+      details[Mirrors.label(mirror)] = await this.details(auth, mirror, manifest)
+    })
+
+    // Private repositories are created and pushed to with repo scope only
+    try {
+      Auth.checkScopes(
+        auth,
+        mirrors.some((mirror) => details[Mirrors.label(mirror)].private)
+          ? { repo: 'restore private repositories' }
+          : { public_repo: 'create and push to repositories' }
+      )
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    await Promise.all(mirrors).mapLimit(flags.parallel, async (mirror) => {
+      const name = Mirrors.label(mirror)
+      const fullName = `${account.login}/${mirror.name}`
+      const { private: isPrivate, description, defaultBranch } = details[name]
+      let unpacked = null
+
+      reporter.start(name, `${name} ==> Checking ${fullName}...`)
+
+      try {
+        let repository = await GithubAPI.get.repository(auth, fullName)
+
+        // Renamed repositories are still found by their previous name, which is free to use again
+        if (repository && repository.fullName.toLowerCase() !== fullName.toLowerCase()) {
+          this.debug(`${fullName} redirects to ${repository.fullName}, it does not exist anymore`)
+
+          repository = null
+        }
+
+        if (repository && !(await Git.isEmptyRemote({ url: repository.urls.https, token: auth.token }))) {
+          if (!flags.force) {
+            throw new Error(`${fullName} is not empty, use --force to overwrite it`)
+          }
+
+          this.debug(fullName, 'is not empty, it will be overwritten')
+        }
+
+        if (flags['dry-run']) {
+          reporter.succeed(
+            name,
+            repository
+              ? `${name} ===> push to existing ${fullName}`
+              : `${name} ===> create ${isPrivate ? 'private' : 'public'} ${fullName} and push`
+          )
+
+          return
+        }
+
+        let mirrorPath = mirror.path
+
+        // Packaged mirrors are unpacked (and their checksums checked) before anything is created
+        if (mirror.format !== 'mirror') {
+          reporter.update(name, `${name} ==> Unpacking ${mirror.file}...`)
+
+          unpacked = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gbulk-'))
+          mirrorPath = path.join(unpacked, path.basename(mirror.path))
+
+          await Package.unpack({
+            path: mirror.path,
+            format: mirror.format,
+            encrypted: mirror.encrypted,
+            keys,
+            to: mirrorPath
+          })
+        }
+
+        if (!repository) {
+          reporter.update(name, `${name} ==> Creating ${fullName}...`)
+
+          repository = await GithubAPI.create.repository({
+            auth,
+            org,
+            name: mirror.name,
+            options: {
+              private: isPrivate,
+              description
+            }
+          })
+        }
+
+        const data = {
+          path: mirrorPath,
+          url: repository.urls.https,
+          token: auth.token
+        }
+
+        reporter.update(name, `${name} ==> Pushing...`)
+
+        await Git.push(data, flags.force)
+
+        if (flags.lfs && gitLFS) {
+          reporter.update(name, `${name} ==> Pushing LFS objects...`)
+
+          try {
+            await Git.LFS.push(data)
+          } catch (err) {
+            this.warn(`Failed to push LFS objects to ${fullName}`)
+            this.debug(err)
+
+            exitCode = 1
+          }
+        }
+
+        if (defaultBranch && defaultBranch !== repository.defaultBranch) {
+          try {
+            await GithubAPI.update.repository(auth, fullName, { default_branch: defaultBranch })
+          } catch (err) {
+            this.warn(`Failed to set ${fullName} default branch to ${defaultBranch}`)
+            this.debug(err)
+          }
+        }
+
+        reporter.succeed(name, `${name} ===> ${fullName}`)
+      } catch (err) {
+        const error = `${name}: ${err.shortMessage || err.message || err}`
+
+        reporter.fail(name, error)
+
+        if (flags.quiet) {
+          this.warn(error)
+        }
+
+        this.debug(err)
+
+        exitCode = 1
+      } finally {
+        if (unpacked) {
+          await Package.removeDirectory(unpacked)
+        }
+      }
+    })
+
+    this.exit(exitCode)
+  }
+
+  /**
+   * Get details of a backup repository from backup manifest, or from original repository
+   * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+   * @param {Object} mirror Mirror repository
+   * @param {Object?} manifest Backup manifest
+   * @returns {Object<private: Boolean, description: String?, defaultBranch: String?>} Repository details
+   */
+  async details(auth, mirror, manifest) {
+    const entry =
+      manifest && manifest.repositories.find((repository) => Mirrors.label(repository) === Mirrors.label(mirror))
+
+    if (entry && typeof entry.private === 'boolean') {
+      return entry
+    }
+
+    try {
+      const repository = await GithubAPI.get.repository(auth, mirror.fullName)
+
+      if (repository) {
+        return repository
+      }
+    } catch (err) {
+      this.debug(`cannot fetch ${mirror.fullName} details`)
+      this.debug(err)
+    }
+
+    this.debug(`no details found for ${mirror.fullName}, restore it as private`)
+
+    return {
+      private: true,
+      description: null,
+      defaultBranch: entry && entry.defaultBranch
+    }
+  }
+}
+
+module.exports = RestoreCommand
@@ -0,0 +1,349 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const inquirer = require('inquirer')
+
+const Auth = require('../lib/auth')
+const GithubAPI = require('../lib/github-api')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+const Table = require('../lib/table')
+
+const defaultParallelCount = 8
+
+class TransferCommand extends Command {
+  static description = chalk`transfer repositories to another user or organization
+
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to transfer repositories you own to an organization, run {yellow gbulk transfer $YOUR_USERNAME $ORGNAME}
+- to transfer repositories of an organization to another one, run {yellow gbulk transfer $ORGNAME $OTHER_ORGNAME}
+
+When target already has a repository with the same name, repository is skipped, or renamed before transfer with {yellow --conflict=rename}.
+A summary of repositories to transfer is shown and must be confirmed before anything is changed.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    public: Selection.flags.public,
+    private: Selection.flags.private,
+    owner: Selection.flags.owner,
+    collaborator: Selection.flags.collaborator,
+    member: Selection.flags.member,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    forks: Selection.flags.forks,
+    archived: Selection.flags.archived,
+    language: Selection.flags.language,
+    topic: Selection.flags.topic,
+    'pushed-since': Selection.flags['pushed-since'],
+    'pushed-before': Selection.flags['pushed-before'],
+    'max-size': Selection.flags['max-size'],
+    team: flags.string({
+      char: 't',
+      description: 'give access to transferred repositories to specified team (slug) of target organization',
+      multiple: true
+    }),
+    conflict: flags.string({
+      description: 'what to do when target already has a repository with the same name',
+      options: ['skip', 'rename'],
+      default: 'skip'
+    }),
+    yes: flags.boolean({
+      char: 'y',
+      description: 'do not ask for confirmation',
+      default: false
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    interactive: flags.boolean({
+      char: 'i',
+      description: 'interactive mode',
+      default: false,
+      exclusive: [
+        'public',
+        'private',
+        'owner',
+        'collaborator',
+        'member',
+        'exclude',
+        'match',
+        'forks',
+        'archived',
+        'language',
+        'topic',
+        'pushed-since',
+        'pushed-before',
+        'max-size',
+        'quiet'
+      ]
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'transfer multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'from',
+      description: chalk`{underline user} name or {underline organization} name to transfer repositories from`,
+      required: true
+    },
+    {
+      name: 'to',
+      description: chalk`{underline user} name or {underline organization} name to transfer repositories to`,
+      required: true
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(TransferCommand)
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    try {
+      Selection.check(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let auth
+
+    try {
+      auth = Auth.authenticated(flags.profile)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let target
+
+    try {
+      target = await GithubAPI.get.user(auth, args.to)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot find user or organization ${args.to}: ${err.message || err}`)
+    }
+
+    const teamIds = []
+
+    if (flags.team) {
+      if (target.type !== 'Organization') {
+        this.error(`Cannot give access to teams: ${target.login} is not an organization`)
+      }
+
+      try {
+        Auth.checkScopes(auth, { 'read:org': 'find teams of target organization' })
+      } catch (err) {
+        this.error(err.message)
+      }
+
+      for (const slug of flags.team) {
+        try {
+          const team = await GithubAPI.get.team(auth, target.login, slug)
+
+          teamIds.push(team.id)
+        } catch (err) {
+          this.debug(err)
+          this.error(`Cannot find team ${slug} in ${target.login}: ${err.message || err}`)
+        }
+      }
+    }
+
+    // Enable flags interactively
+    if (flags.interactive) {
+      await Selection.prompt.filters(flags)
+    }
+
+    try {
+      Auth.checkScopes(
+        auth,
+        flags.private ? { repo: 'transfer private repositories' } : { public_repo: 'transfer repositories' }
+      )
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let repositories = []
+
+    reporter.start('fetch', `Fetching repositories of ${args.from}`)
+
+    try {
+      repositories = await Selection.fetch({ auth, from: args.from, options: Selection.options(flags) })
+    } catch (err) {
+      reporter.fail('fetch')
+
+      this.debug(err)
+      this.error(`Cannot fetch repositories of ${args.from}: ${err.message || err}`)
+    }
+
+    reporter.succeed('fetch')
+
+    // Only repositories owned by source are transferred: other repositories user has access to (eg. as a collaborator
+    // or organization member) belong to someone else. Repositories already owned by target cannot be transferred to it
+    repositories = Selection.filter(repositories, flags).filter((repository) => {
+      const owner = repository.fullName.split('/')[0].toLowerCase()
+
+      return owner === args.from.toLowerCase() && owner !== target.login.toLowerCase()
+    })
+
+    if (repositories.length && flags.interactive) {
+      repositories = await Selection.prompt.repositories(repositories, 'Select repositories to transfer')
+    }
+
+    if (!repositories.length) {
+      this.warn('No repositories to transfer.')
+      this.exit(1)
+    }
+
+    const transfers = await this.plan(auth, target.login, repositories, flags.conflict)
+    const count = transfers.filter((transfer) => !transfer.skip).length
+
+    this.log(`${count}/${transfers.length} repositories will be transferred to ${target.login}:`)
+    this.log(
+      Table.render(transfers, [
+        { key: 'fullName', header: 'REPOSITORY' },
+        { key: 'target', header: 'TARGET' },
+        { key: 'result', header: 'NOTE' }
+      ])
+    )
+
+    if (!count) {
+      this.warn('No repositories to transfer.')
+      this.exit(1)
+    }
+
+    if (!flags.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'confirm',
+          message: `Transfer ${count} repositories to ${target.login}?`,
+          choices: ['Yes', 'No']
+        }
+      ])
+
+      if (confirm === 'No') {
+        this.exit(0)
+      }
+    }
+
+    await Promise.all(transfers.filter((transfer) => !transfer.skip)).mapLimit(flags.parallel, async (transfer) => {
+      reporter.start(transfer.fullName, `${transfer.fullName} ==> Transferring...`)
+
+      let fullName = transfer.fullName
+
+      try {
+        if (transfer.name !== transfer.fullName.split('/')[1]) {
+          reporter.update(transfer.fullName, `${transfer.fullName} ==> Renaming to ${transfer.name}...`)
+
+          fullName = (await GithubAPI.update.repository(auth, fullName, { name: transfer.name })).fullName
+        }
+
+        await GithubAPI.transfer.repository(auth, fullName, {
+          newOwner: target.login,
+          teamIds: teamIds.length ? teamIds : undefined
+        })
+
+        transfer.result = transfer.result ? `transferred (${transfer.result})` : 'transferred'
+
+        reporter.succeed(transfer.fullName, `${transfer.fullName} ===> ${transfer.target}`)
+      } catch (err) {
+        transfer.result = `failed: ${err.message || err}`
+
+        // Repository was renamed but not transferred, give it its name back
+        if (fullName !== transfer.fullName) {
+          try {
+            await GithubAPI.update.repository(auth, fullName, { name: transfer.fullName.split('/')[1] })
+          } catch (renameErr) {
+            this.debug(renameErr)
+
+            transfer.result += ` (repository was left renamed to ${fullName})`
+          }
+        }
+
+        reporter.fail(transfer.fullName, `${transfer.fullName}: ${err.message || err}`)
+
+        this.debug(err)
+
+        exitCode = 1
+      }
+    })
+
+    this.log(
+      Table.render(transfers, [
+        { key: 'fullName', header: 'REPOSITORY' },
+        { key: 'target', header: 'TARGET' },
+        { key: 'result', header: 'RESULT' }
+      ])
+    )
+
+    this.exit(exitCode)
+  }
+
+  /**
+   * Find target name of each repository, handling name collisions in target
+   * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+   * @param {String} owner Target user or organization
+   * @param {Array<Object>} repositories Repositories to transfer
+   * @param {String} conflict Conflict strategy (skip or rename)
+   * @returns {Array<Object<fullName: String, name: String, target: String, skip: Boolean, result: String>>} Transfers
+   */
+  async plan(auth, owner, repositories, conflict) {
+    const reserved = []
+    const exists = async (name) => {
+      if (reserved.indexOf(name.toLowerCase()) !== -1) {
+        return true
+      }
+
+      const repository = await GithubAPI.get.repository(auth, `${owner}/${name}`)
+
+      return Boolean(repository) && repository.fullName.toLowerCase() === `${owner}/${name}`.toLowerCase()
+    }
+    const transfers = []
+
+    for (const repository of repositories) {
+      const [from, name] = repository.fullName.split('/')
+      const transfer = {
+        fullName: repository.fullName,
+        name,
+        target: `${owner}/${name}`,
+        skip: false,
+        result: ''
+      }
+
+      if (await exists(name)) {
+        if (conflict === 'rename') {
+          let newName = `${name}-${from}`
+
+          for (let index = 2; await exists(newName); index++) {
+            newName = `${name}-${from}-${index}`
+          }
+
+          this.debug(`${owner}/${name} already exists, ${repository.fullName} will be renamed to ${newName}`)
+
+          transfer.name = newName
+          transfer.target = `${owner}/${newName}`
+          transfer.result = `renamed to ${newName}`
+        } else {
+          this.debug(`${owner}/${name} already exists, ${repository.fullName} will be skipped`)
+
+          transfer.skip = true
+          transfer.result = 'skipped: name already exists in target'
+        }
+      }
+
+      reserved.push(transfer.name.toLowerCase())
+      transfers.push(transfer)
+    }
+
+    return transfers
+  }
+}
+
+module.exports = TransferCommand
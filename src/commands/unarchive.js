@@ -0,0 +1,24 @@
+const chalk = require('chalk')
+
+const ArchiveCommand = require('./archive')
+
+class UnarchiveCommand extends ArchiveCommand {
+  static description = chalk`unarchive repositories
+
+Repositories are selected the same way as with {yellow gbulk backup}:
+- to unarchive repositories you own, run {yellow gbulk unarchive} without arguments
+- to unarchive repositories of an organization, run {yellow gbulk unarchive $ORGNAME}
+
+A summary of repositories to unarchive is shown and must be confirmed before anything is changed.
+Use {yellow --backup} to backup selected repositories before unarchiving them.
+
+Token needs repo scope, or public_repo scope to only unarchive public repositories with {yellow --public}.`
+
+  static flags = ArchiveCommand.flags
+
+  static args = ArchiveCommand.args
+
+  static archive = false
+}
+
+module.exports = UnarchiveCommand
@@ -0,0 +1,139 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+
+const Encryption = require('../lib/encryption')
+const Mirrors = require('../lib/mirrors')
+const Output = require('../lib/output')
+const Package = require('../lib/package')
+const Selection = require('../lib/selection')
+
+const defaultParallelCount = 8
+
+class UnpackCommand extends Command {
+  static description = chalk`unpack packaged backups
+
+Turn mirrors packaged by {yellow gbulk backup --format} (git bundles or tar.gz archives) back into mirror directories.
+Checksums of packages are checked first, packages are removed once unpacked.
+Use {yellow --dry-run} to only check checksums.
+
+Encrypted packages are decrypted with passphrase read from {yellow --passphrase-file} (or {bold GBULK_PASSPHRASE} environment variable), or with {yellow --private-key}.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    'passphrase-file': Encryption.flags['passphrase-file'],
+    'private-key': Encryption.flags['private-key'],
+    'dry-run': flags.boolean({
+      char: 'n',
+      description: 'check checksums of packages without unpacking them',
+      default: false
+    }),
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'unpack multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'source',
+      description: 'backup path to unpack',
+      required: true
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(UnpackCommand)
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    let keys = null
+
+    try {
+      keys = await Encryption.keys(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    this.debug('checking source path', args.source)
+
+    try {
+      await fs.promises.access(args.source)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read backup directory ${args.source}`)
+    }
+
+    const packages = Selection.filter(await Mirrors.list(args.source), flags).filter(
+      (mirror) => mirror.format !== 'mirror'
+    )
+
+    if (!packages.length) {
+      this.warn('No packaged repositories to unpack.')
+      this.exit(1)
+    }
+
+    await Promise.all(packages).mapLimit(flags.parallel, async (mirror) => {
+      const name = Mirrors.label(mirror)
+
+      reporter.start(name, `${name} ==> Checking ${mirror.file}...`)
+
+      try {
+        // Wiki is packaged next to its repository, with the same format
+        const wiki = mirror.path.replace(/\.git$/, '.wiki.git')
+        const wikiPackage = await Package.find(wiki)
+
+        await Package.verify(mirror)
+
+        if (wikiPackage) {
+          await Package.verify(Object.assign({ path: wiki }, wikiPackage))
+        }
+
+        if (flags['dry-run']) {
+          reporter.succeed(name, `${name} ===> ${mirror.file} checksum is valid`)
+
+          return
+        }
+
+        reporter.update(name, `${name} ==> Unpacking ${mirror.file}...`)
+
+        await Package.unpack(Object.assign({ keys }, mirror))
+        await Package.remove(mirror.path)
+
+        if (wikiPackage) {
+          await Package.unpack(Object.assign({ path: wiki, keys }, wikiPackage))
+          await Package.remove(wiki)
+        }
+
+        reporter.succeed(name, `${name} ===> ${mirror.path}`)
+      } catch (err) {
+        const error = `${name}: ${err.shortMessage || err.message || err}`
+
+        reporter.fail(name, error)
+
+        if (flags.quiet) {
+          this.warn(error)
+        }
+
+        this.debug(err)
+
+        exitCode = 1
+      }
+    })
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = UnpackCommand
@@ -0,0 +1,176 @@
+const { Command, flags } = require('@oclif/command')
+const Promise = require('aigle')
+const chalk = require('chalk')
+const fs = require('fs')
+
+const Auth = require('../lib/auth')
+const Encryption = require('../lib/encryption')
+const Git = require('../lib/git')
+const Manifest = require('../lib/manifest')
+const Mirrors = require('../lib/mirrors')
+const Output = require('../lib/output')
+const Selection = require('../lib/selection')
+const Table = require('../lib/table')
+const Verify = require('../lib/verify')
+
+const defaultParallelCount = 8
+
+class VerifyCommand extends Command {
+  static description = chalk`check integrity of a backup
+
+Each mirror of backup (packaged or not) is checked:
+- package files are checked against their checksums
+- all objects are checked with {bold git fsck}
+- all LFS objects referenced by mirror must be stored in it (unless backup skipped them)
+- branches must match the ones recorded in backup manifest, if any
+- with {yellow --remote}, branches must match the ones on Github, to find stale mirrors (except for gists)
+
+Mirrors of gists and starred repositories (see {yellow gbulk backup --gists --starred}) are checked too.
+
+Encrypted packages are only checked against their checksums, unless a passphrase ({yellow --passphrase-file} or {bold GBULK_PASSPHRASE} environment variable) or {yellow --private-key} is given.
+A report of checks is shown, command exits with a non-zero code if any check failed.`
+
+  static flags = {
+    help: flags.help({ char: 'h' }),
+    profile: Auth.flags.profile,
+    exclude: Selection.flags.exclude,
+    match: Selection.flags.match,
+    remote: flags.boolean({
+      description: 'compare branches of mirrors with the ones on Github',
+      default: false
+    }),
+    'passphrase-file': Encryption.flags['passphrase-file'],
+    'private-key': Encryption.flags['private-key'],
+    quiet: flags.boolean({
+      char: 'q',
+      description: 'disable logging',
+      default: false
+    }),
+    parallel: flags.string({
+      char: 'p',
+      description: 'check multiple repositories in parallel',
+      default: defaultParallelCount
+    })
+  }
+
+  static args = [
+    {
+      name: 'source',
+      description: 'backup path to check',
+      required: true
+    }
+  ]
+
+  async run() {
+    const { args, flags } = this.parse(VerifyCommand)
+    const reporter = Output.reporter({ mode: Output.mode(), quiet: flags.quiet, log: this.log.bind(this) })
+    let exitCode = 0
+
+    flags.parallel = Selection.parallel(flags.parallel, defaultParallelCount)
+
+    let keys = null
+
+    try {
+      keys = await Encryption.keys(flags)
+    } catch (err) {
+      this.error(err.message)
+    }
+
+    let auth = null
+
+    if (flags.remote) {
+      try {
+        auth = Auth.authenticated(flags.profile)
+      } catch (err) {
+        this.error(err.message)
+      }
+    }
+
+    this.debug('checking git command availability')
+
+    await Git.check()
+
+    this.debug('checking source path', args.source)
+
+    try {
+      await fs.promises.access(args.source)
+    } catch (err) {
+      this.debug(err)
+      this.error(`Cannot read backup directory ${args.source}`)
+    }
+
+    const mirrors = Selection.filter(await Mirrors.list(args.source), flags)
+
+    if (!mirrors.length) {
+      this.warn('No repositories to check.')
+      this.exit(1)
+    }
+
+    let manifest = null
+
+    try {
+      manifest = await Manifest.latest(args.source)
+    } catch (err) {
+      this.warn(`Cannot read backup manifest from ${args.source}, refs will not be compared with it`)
+      this.debug(err)
+    }
+
+    if (!manifest) {
+      this.debug('no backup manifest, refs will not be compared with it')
+    }
+
+    const results = []
+
+    await Promise.all(mirrors).mapLimit(flags.parallel, async (mirror) => {
+      const name = Mirrors.label(mirror)
+      const entry = manifest && manifest.repositories.find((repository) => Mirrors.label(repository) === name)
+
+      reporter.start(name, `${name} ==> Checking...`)
+
+      const result = await Verify.mirror(mirror, {
+        entry,
+        auth,
+        keys,
+        progress: (text) => reporter.update(name, `${name} ==> ${text}`)
+      })
+
+      results.push(Object.assign({ name }, result))
+
+      if (result.status === 'failed') {
+        reporter.fail(name, `${name}: ${result.problems.join(', ')}`)
+
+        if (flags.quiet) {
+          this.warn(`${name}: ${result.problems.join(', ')}`)
+        }
+
+        exitCode = 1
+      } else {
+        reporter.succeed(name, `${name} ===> passed`)
+      }
+    })
+
+    if (!flags.quiet) {
+      results.sort((a, b) => a.name.localeCompare(b.name))
+
+      this.log(
+        Table.render(results, [
+          { key: 'name', header: 'REPOSITORY' },
+          { key: 'checksum', header: 'CHECKSUM' },
+          { key: 'fsck', header: 'FSCK' },
+          { key: 'lfs', header: 'LFS' },
+          { key: 'refs', header: 'REFS' },
+          { key: 'remote', header: 'REMOTE' },
+          { key: 'status', header: 'RESULT' }
+        ])
+      )
+
+      const failed = results.filter((result) => result.status === 'failed').length
+
+      this.log(`${results.length - failed}/${results.length} repositories passed checks.`)
+    }
+
+    this.exit(exitCode)
+  }
+}
+
+module.exports = VerifyCommand
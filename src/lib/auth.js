@@ -0,0 +1,218 @@
+const { flags } = require('@oclif/command')
+const chalk = require('chalk')
+const _debug = require('debug')
+
+const config = require('../config')
+
+const debug = _debug('auth')
+
+const defaultHost = 'github.com'
+const defaultProfile = 'default'
+// Scopes granted along with each scope
+const impliedScopes = {
+  repo: ['public_repo', 'repo:status', 'repo_deployment', 'repo:invite', 'security_events'],
+  'admin:org': ['write:org', 'read:org'],
+  'write:org': ['read:org'],
+  user: ['read:user', 'user:email', 'user:follow']
+}
+
+const Auth = {
+  defaultHost,
+  /**
+   * Flags shared by commands authenticating to Github
+   */
+  flags: {
+    profile: flags.string({
+      description: 'login profile to use, see gbulk profiles (defaults to default profile)'
+    })
+  },
+  /**
+   * Get name of a profile, or of default profile
+   * @param {String?} profile Profile name
+   * @returns {String} Profile name
+   */
+  profile: function profileName(profile) {
+    return profile || config.get('defaultProfile') || defaultProfile
+  },
+  /**
+   * Get authentication details of a profile
+   * @param {String?} profile Profile name. Defaults to default profile
+   * @returns {Object<token: String, user: String, host: String, api: String>?} Authentication details, undefined if not logged in
+   */
+  get: function getAuth(profile) {
+    return readProfiles()[Auth.profile(profile)]
+  },
+  /**
+   * Get authentication details of a profile, which must be logged in
+   * @param {String?} profile Profile name. Defaults to default profile
+   * @throws {Error} Profile is not logged in
+   * @returns {Object<token: String, user: String, host: String, api: String>} Authentication details
+   */
+  authenticated: function authenticated(profile) {
+    const name = Auth.profile(profile)
+    const auth = Auth.get(name)
+
+    if (!auth || !auth.token) {
+      throw new Error(chalk`You are not authenticated with profile ${name}, please run {yellow gbulk login} first.`)
+    }
+
+    debug('authenticated user is', auth.user, 'on', auth.host)
+
+    return auth
+  },
+  /**
+   * Store authentication details of a profile. First stored profile becomes default profile
+   * @param {String?} profile Profile name. Defaults to default profile
+   * @param {Object<token: String, user: String, host: String, api: String>} auth Authentication details
+   * @returns {void}
+   */
+  set: function setAuth(profile, auth) {
+    const name = Auth.profile(profile)
+    const profiles = readProfiles()
+
+    if (!Object.keys(profiles).length) {
+      config.set('defaultProfile', name)
+    }
+
+    profiles[name] = auth
+
+    writeProfiles(profiles)
+  },
+  /**
+   * Erase authentication details of a profile
+   * @param {String?} profile Profile name. Defaults to default profile
+   * @returns {Boolean} Whether profile existed
+   */
+  delete: function deleteAuth(profile) {
+    const name = Auth.profile(profile)
+    const profiles = readProfiles()
+    const existed = Boolean(profiles[name])
+
+    delete profiles[name]
+
+    writeProfiles(profiles)
+
+    return existed
+  },
+  /**
+   * Erase authentication details of all profiles
+   * @returns {Array<String>} Names of erased profiles
+   */
+  clear: function clearAuth() {
+    const names = Object.keys(readProfiles())
+
+    writeProfiles({})
+    config.delete('defaultProfile')
+
+    return names
+  },
+  /**
+   * List profiles
+   * @returns {Array<Object<name: String, user: String, host: String, api: String, default: Boolean>>} Profiles, sorted by name
+   */
+  list: function listProfiles() {
+    const profiles = readProfiles()
+    const current = Auth.profile()
+
+    return Object.keys(profiles)
+      .sort()
+      .map((name) => ({
+        name,
+        user: profiles[name].user,
+        host: profiles[name].host,
+        api: profiles[name].api,
+        default: name === current
+      }))
+  },
+  /**
+   * Set default profile, used when a command is run without profile
+   * @param {String} profile Profile name
+   * @throws {Error} Unknown profile
+   * @returns {void}
+   */
+  setDefault: function setDefaultProfile(profile) {
+    if (!readProfiles()[profile]) {
+      throw new Error(`Unknown profile ${profile}`)
+    }
+
+    config.set('defaultProfile', profile)
+  },
+  /**
+   * Scopes gbulk needs to work with all repositories, and what for
+   */
+  recommendedScopes: {
+    repo: 'work with private repositories',
+    'read:org': 'list organizations teams',
+    gist: 'backup secret gists'
+  },
+  /**
+   * Find scopes that a profile token was not granted
+   * @param {Object<scopes: Array<String>?>} auth Authentication details
+   * @param {Array<String>} scopes Needed scopes
+   * @returns {Array<String>} Missing scopes, none when granted scopes are unknown (eg. fine-grained tokens)
+   */
+  missingScopes: function missingScopes(auth, scopes) {
+    if (!Array.isArray(auth.scopes)) {
+      return []
+    }
+
+    const granted = auth.scopes.reduce((acc, scope) => acc.concat(scope, impliedScopes[scope] || []), [])
+
+    return scopes.filter((scope) => granted.indexOf(scope) === -1)
+  },
+  /**
+   * Check that a profile token was granted needed scopes
+   * @param {Object<user: String, scopes: Array<String>?>} auth Authentication details
+   * @param {Object<String, String>} scopes What each needed scope is needed for, by scope
+   * @throws {Error} Missing scopes
+   * @returns {void}
+   */
+  checkScopes: function checkScopes(auth, scopes) {
+    const missing = Auth.missingScopes(auth, Object.keys(scopes))
+
+    if (missing.length) {
+      const reasons = missing.map((scope) => `${scope} scope (needed to ${scopes[scope]})`).join(', ')
+
+      throw new Error(`Token of ${auth.user} is missing ${reasons}, grant it to token and run gbulk login again`)
+    }
+  },
+  /**
+   * Get default API base URL of a Github host
+   * @param {String} host Github host
+   * @returns {String} API base URL
+   */
+  api: function apiURL(host) {
+    return host === defaultHost ? 'https://api.github.com' : `https://${host}/api/v3`
+  }
+}
+
+/**
+ * Read stored profiles, including authentication details stored by previous versions (a single `auth`)
+ * @returns {Object<String, Object>} Authentication details by profile name
+ */
+const readProfiles = function() {
+  const profiles = Object.assign({}, config.get('profiles'))
+  const legacy = config.get('auth')
+
+  if (legacy && legacy.token && !profiles[defaultProfile]) {
+    profiles[defaultProfile] = Object.assign({ host: defaultHost, api: Auth.api(defaultHost) }, legacy)
+  }
+
+  return profiles
+}
+
+/**
+ * Store profiles, dropping authentication details stored by previous versions
+ * @param {Object<String, Object>} profiles Authentication details by profile name
+ * @returns {void}
+ */
+const writeProfiles = function(profiles) {
+  config.set('profiles', profiles)
+  config.delete('auth')
+
+  if (!profiles[config.get('defaultProfile')]) {
+    config.delete('defaultProfile')
+  }
+}
+
+module.exports = Auth
@@ -0,0 +1,283 @@
+const _debug = require('debug')
+const path = require('path')
+
+const Git = require('./git')
+const Metadata = require('./metadata')
+const Package = require('./package')
+const Releases = require('./releases')
+
+const debug = _debug('backup')
+
+const Backup = {
+  /**
+   * Backup a repository as a mirror in destination (`<destination>/<owner>/<repo>.git`), optionally packaged.
+   * An existing mirror (or package) is updated instead of cloned again
+   * @param {Object} repository Repository to backup
+   * @param {Object} options
+   * @param {String} options.destination Backup destination path
+   * @param {Boolean} options.lfs Fetch LFS objects
+   * @param {Boolean} options.cleanRefs Delete GitHub pull refs
+   * @param {Boolean} options.wiki Backup repository wiki next to its mirror (`<destination>/<owner>/<repo>.wiki.git`)
+   * @param {Boolean} options.metadata Export repository Github metadata next to its mirror, see `Metadata.export`
+   * @param {Boolean} options.releases Download repository release assets next to its mirror, see `Releases.download`
+   * @param {Number?} options.parallelDownloads Maximum number of release assets downloaded in parallel
+   * @param {String?} options.format Backup format, one of `Package.formats`, see `Package.pack`. Defaults to mirror
+   * @param {Object?} options.keys Keys encrypting packages and decrypting previous ones, see `Encryption.keys`
+   * @param {Object<token: String, api: String?>?} options.auth Authentication details (see `Auth.get`), required for private repositories, to export metadata and download release assets
+   * @param {Function?} options.progress Called with a description of each backup step
+   * @returns {Object} Backup result, as recorded in manifest
+   */
+  repository: async function backupRepository(
+    repository,
+    {
+      destination,
+      lfs,
+      cleanRefs,
+      wiki,
+      metadata,
+      releases,
+      parallelDownloads = 1,
+      format = 'mirror',
+      keys,
+      auth,
+      progress = () => {}
+    }
+  ) {
+    const data = {
+      path: path.resolve(destination, repository.fullName + '.git'),
+      url: repository.urls.https,
+      token: auth && auth.token
+    }
+    const result = {
+      fullName: repository.fullName,
+      path: data.path,
+      private: repository.private,
+      description: repository.description,
+      defaultBranch: repository.defaultBranch,
+      status: null,
+      format,
+      encrypted: false,
+      files: [],
+      heads: {},
+      lfs: 'skipped',
+      cleanRefs: 'skipped',
+      wiki: 'skipped',
+      metadata: 'skipped',
+      releases: 'skipped',
+      error: null
+    }
+
+    try {
+      await unpack(data.path, keys, progress)
+
+      // Update existing mirror instead of cloning it again
+      if (await Git.isMirror(data)) {
+        progress('Updating...')
+
+        await Git.update(data)
+
+        result.status = 'updated'
+      } else {
+        progress('Cloning...')
+
+        await Git.clone(data)
+
+        result.status = 'cloned'
+      }
+
+      if (lfs) {
+        progress('Fetching LFS objects...')
+
+        try {
+          await Git.LFS.fetch(data)
+
+          result.lfs = 'fetched'
+        } catch (err) {
+          debug(`failed to fetch ${repository.fullName} LFS objects`)
+          debug(err)
+
+          result.lfs = 'failed'
+        }
+      }
+
+      if (cleanRefs) {
+        progress('Cleaning /pull refs...')
+
+        try {
+          await Git.cleanRefs(data)
+
+          result.cleanRefs = 'cleaned'
+        } catch (err) {
+          debug(`failed to clean ${repository.fullName} /pull refs`)
+          debug(err)
+
+          result.cleanRefs = 'failed'
+        }
+      }
+
+      if (wiki && repository.hasWiki) {
+        progress('Backing up wiki...')
+
+        try {
+          result.wiki = await backupWiki(repository, { destination, keys, token: data.token, progress })
+        } catch (err) {
+          debug(`failed to backup ${repository.fullName} wiki`)
+          debug(err)
+
+          result.wiki = 'failed'
+        }
+      }
+
+      if (metadata) {
+        progress('Exporting metadata...')
+
+        try {
+          await Metadata.export({ auth, repository, destination })
+
+          result.metadata = 'exported'
+        } catch (err) {
+          debug(`failed to export ${repository.fullName} metadata`)
+          debug(err)
+
+          result.metadata = 'failed'
+        }
+      }
+
+      if (releases) {
+        progress('Downloading release assets...')
+
+        try {
+          const counts = await Releases.download({ auth, repository, destination, parallel: parallelDownloads })
+
+          debug(`${repository.fullName} release assets: ${counts.downloaded} downloaded, ${counts.skipped} skipped`)
+
+          result.releases = 'downloaded'
+        } catch (err) {
+          debug(`failed to download ${repository.fullName} release assets`)
+          debug(err)
+
+          result.releases = 'failed'
+        }
+      }
+
+      try {
+        result.heads = await Git.heads(data)
+      } catch (err) {
+        debug(`cannot list ${repository.fullName} heads`)
+        debug(err)
+      }
+
+      // Wiki mirror is packaged along with repository mirror
+      const mirrors = [data.path]
+
+      if (result.wiki === 'cloned' || result.wiki === 'updated') {
+        mirrors.push(path.resolve(destination, repository.fullName + '.wiki.git'))
+      }
+
+      for (const mirror of mirrors) {
+        if (format === 'mirror') {
+          // Backup was packaged before, mirror replaces package
+          await Package.remove(mirror)
+        } else {
+          progress('Packaging...')
+
+          const packaged = await Package.pack({ path: mirror, format, keys })
+
+          result.files = result.files.concat(packaged.files)
+
+          if (mirror === data.path) {
+            result.format = packaged.format
+            result.encrypted = packaged.encrypted
+            result.path = packaged.files[0].path
+          }
+        }
+      }
+    } catch (err) {
+      debug(err)
+
+      result.status = 'failed'
+      // Git exits with the same code on any fatal error, its output is the only hint of the cause.
+      // Error is written to manifest, it must never hold credentials
+      result.error = Git.redact((err.stderr && err.stderr.trim()) || err.shortMessage || err.message, data.token)
+    }
+
+    return result
+  }
+}
+
+/**
+ * Backup wiki of a repository as a mirror next to repository mirror
+ * @param {Object} repository Repository whose wiki to backup
+ * @param {Object} options
+ * @param {String} options.destination Backup destination path
+ * @param {Object?} options.keys Keys decrypting previous package, see `Encryption.keys`
+ * @param {String?} options.token Authentication token
+ * @param {Function} options.progress Called with a description of each backup step
+ * @returns {String} Wiki backup status: cloned, updated or empty
+ * @throws {Error} `execa` error
+ */
+const backupWiki = async function(repository, { destination, keys, token, progress }) {
+  const data = {
+    path: path.resolve(destination, repository.fullName + '.wiki.git'),
+    url: repository.urls.wiki,
+    token
+  }
+
+  try {
+    await Git.isEmptyRemote(data)
+  } catch (err) {
+    // Wiki repository only exists once its first page is created
+    if (/not found/i.test(err.stderr)) {
+      debug(`${repository.fullName} wiki is enabled but empty`)
+
+      return 'empty'
+    }
+
+    throw err
+  }
+
+  await unpack(data.path, keys, progress)
+
+  if (await Git.isMirror(data)) {
+    await Git.update(data)
+
+    return 'updated'
+  }
+
+  await Git.clone(data)
+
+  return 'cloned'
+}
+
+/**
+ * Unpack package left by a previous backup, so that mirror is updated instead of cloned again.
+ * Encrypted packages that keys cannot decrypt (eg. encrypted for a public key only) are cloned again
+ * @param {String} mirror Mirror path
+ * @param {Object?} keys Decryption keys, see `Encryption.keys`
+ * @param {Function} progress Called with a description of each backup step
+ * @returns {void}
+ */
+const unpack = async function(mirror, keys, progress) {
+  if (await Git.isMirror({ path: mirror })) {
+    return
+  }
+
+  const found = await Package.find(mirror)
+
+  if (!found) {
+    return
+  }
+
+  progress('Unpacking previous backup...')
+
+  try {
+    await Package.unpack({ path: mirror, format: found.format, encrypted: found.encrypted, keys })
+  } catch (err) {
+    debug(`cannot unpack previous backup of ${mirror}, it will be cloned again`)
+    debug(err)
+
+    await Package.removeDirectory(mirror)
+  }
+}
+
+module.exports = Backup
@@ -0,0 +1,121 @@
+const { flags } = require('@oclif/command')
+const fs = require('fs')
+const path = require('path')
+
+// Placeholders of checkouts layout
+const placeholders = ['owner', 'repo']
+const defaultLayout = '{owner}/{repo}'
+// Checkouts are searched this deep in a directory, which is enough for layouts with a few levels
+const maxDepth = 4
+
+const Checkouts = {
+  defaultLayout,
+  /**
+   * Flags shared by commands working on checkouts
+   */
+  flags: {
+    layout: flags.string({
+      description: 'path of checkouts in destination, with {owner} and {repo} placeholders',
+      default: defaultLayout
+    })
+  },
+  /**
+   * Check a checkouts layout
+   * @param {String} layout Layout, see `Checkouts.flags.layout`
+   * @returns {void}
+   * @throws {Error} Invalid layout
+   */
+  check: function checkLayout(layout) {
+    const unknown = (layout.match(/\{[^}]*\}/g) || []).filter(
+      (placeholder) => placeholders.indexOf(placeholder.slice(1, -1)) === -1
+    )
+
+    if (unknown.length) {
+      throw new Error(`Unknown placeholder ${unknown.join(', ')} in layout ${layout}, use {owner} and {repo}`)
+    }
+
+    if (layout.indexOf('{repo}') === -1) {
+      throw new Error(`Layout ${layout} must hold {repo}, so that each repository gets its own checkout`)
+    }
+
+    if (path.isAbsolute(layout) || layout.split(/[\\/]/).indexOf('..') !== -1) {
+      throw new Error(`Layout ${layout} must be relative to destination`)
+    }
+  },
+  /**
+   * Get path of a repository checkout
+   * @param {String} destination Checkouts destination path
+   * @param {Object<fullName: String, name: String>} repository Repository
+   * @param {String} layout Layout, see `Checkouts.check`
+   * @returns {String} Checkout path
+   */
+  path: function checkoutPath(destination, repository, layout) {
+    const values = { owner: repository.fullName.split('/')[0], repo: repository.name }
+
+    return path.join(
+      destination,
+      layout.replace(/\{(\w+)\}/g, (placeholder, name) => values[name])
+    )
+  },
+  /**
+   * Check if a path holds a working tree, whose git directory (or file, for worktrees and submodules) is `.git`
+   * @param {String} directory Path
+   * @returns {Boolean}
+   */
+  isCheckout: async function isCheckout(directory) {
+    try {
+      await fs.promises.access(path.join(directory, '.git'))
+
+      return true
+    } catch (err) {
+      return false
+    }
+  },
+  /**
+   * List working trees stored in a directory, whatever their layout. Checkouts nested in another one are left out
+   * @param {String} directory Checkouts directory path
+   * @returns {Array<Object<name: String, path: String>>} Checkouts, named after their path relative to directory
+   */
+  list: async function listCheckouts(directory) {
+    const checkouts = []
+
+    const search = async (current, depth) => {
+      let entries = []
+
+      try {
+        entries = await fs.promises.readdir(current, { withFileTypes: true })
+      } catch (err) {
+        return
+      }
+
+      for (const entry of entries) {
+        // Hidden directories (eg. .cache) do not hold checkouts
+        if (!entry.isDirectory() || entry.name.startsWith('.')) continue
+
+        const checkout = path.join(current, entry.name)
+
+        if (await Checkouts.isCheckout(checkout)) {
+          checkouts.push({
+            name: path
+              .relative(directory, checkout)
+              .split(path.sep)
+              .join('/'),
+            path: checkout
+          })
+        } else if (depth < maxDepth) {
+          await search(checkout, depth + 1)
+        }
+      }
+    }
+
+    if (await Checkouts.isCheckout(directory)) {
+      return [{ name: path.basename(path.resolve(directory)), path: directory }]
+    }
+
+    await search(directory, 1)
+
+    return checkouts.sort((a, b) => a.name.localeCompare(b.name))
+  }
+}
+
+module.exports = Checkouts
@@ -0,0 +1,279 @@
+const { flags } = require('@oclif/command')
+const crypto = require('crypto')
+const fs = require('fs')
+const stream = require('stream')
+const util = require('util')
+
+const pipeline = util.promisify(stream.pipeline)
+const scrypt = util.promisify(crypto.scrypt)
+
+// Encrypted files start with this signature, followed by header length (4 bytes) and JSON header
+const signature = Buffer.from('GBULKENC1\n')
+const cipher = 'aes-256-gcm'
+const tagLength = 16
+// Extension of encrypted files
+const extension = '.enc'
+
+const Encryption = {
+  extension,
+  /**
+   * Flags of commands writing or reading encrypted backups
+   */
+  flags: {
+    'passphrase-file': flags.string({
+      description: 'read encryption passphrase from specified file (defaults to GBULK_PASSPHRASE environment variable)'
+    }),
+    recipient: flags.string({
+      description: 'encrypt packages for specified RSA public key (PEM file)',
+      multiple: true
+    }),
+    'private-key': flags.string({
+      description: 'decrypt packages with specified RSA private key (PEM file)'
+    })
+  },
+  /**
+   * Read encryption keys given with flags. Keys are never written anywhere else than in memory
+   * @param {Object} flags Command flags
+   * @returns {Object<passphrase: String?, publicKeys: Array<KeyObject>, privateKey: KeyObject?>?} Keys, null if none was given
+   * @throws {Error} Unreadable or invalid key
+   */
+  keys: async function readKeys(flags) {
+    const keys = { passphrase: null, publicKeys: [], privateKey: null }
+
+    if (flags['passphrase-file']) {
+      keys.passphrase = await read(flags['passphrase-file'], 'passphrase file')
+    } else if (process.env.GBULK_PASSPHRASE) {
+      keys.passphrase = process.env.GBULK_PASSPHRASE
+    }
+
+    if (keys.passphrase !== null) {
+      keys.passphrase = keys.passphrase.replace(/\r?\n$/, '')
+
+      if (!keys.passphrase) {
+        throw new Error('Encryption passphrase is empty')
+      }
+    }
+
+    for (const file of flags.recipient || []) {
+      try {
+        keys.publicKeys.push(crypto.createPublicKey(await read(file, 'public key')))
+      } catch (err) {
+        throw new Error(err.code === 'EREAD' ? err.message : `Invalid public key ${file}`)
+      }
+    }
+
+    if (flags['private-key']) {
+      try {
+        keys.privateKey = crypto.createPrivateKey(await read(flags['private-key'], 'private key'))
+      } catch (err) {
+        throw new Error(err.code === 'EREAD' ? err.message : `Invalid private key ${flags['private-key']}`)
+      }
+    }
+
+    return keys.passphrase !== null || keys.publicKeys.length || keys.privateKey ? keys : null
+  },
+  /**
+   * Check whether keys can encrypt files
+   * @param {Object?} keys Keys, see `Encryption.keys`
+   * @returns {Boolean}
+   */
+  canEncrypt: function canEncrypt(keys) {
+    return Boolean(keys && (keys.passphrase || keys.publicKeys.length))
+  },
+  /**
+   * Check whether keys can decrypt files
+   * @param {Object?} keys Keys, see `Encryption.keys`
+   * @returns {Boolean}
+   */
+  canDecrypt: function canDecrypt(keys) {
+    return Boolean(keys && (keys.passphrase || keys.privateKey))
+  },
+  /**
+   * Describe how keys encrypt files, without revealing them
+   * @param {Object?} keys Keys, see `Encryption.keys`
+   * @returns {Array<String>} Encryption methods (passphrase and/or public-key)
+   */
+  methods: function encryptionMethods(keys) {
+    if (!Encryption.canEncrypt(keys)) {
+      return []
+    }
+
+    return (keys.passphrase ? ['passphrase'] : []).concat(keys.publicKeys.length ? ['public-key'] : [])
+  },
+  /**
+   * Encrypt a file with a random key, itself encrypted with passphrase and/or each public key,
+   * so that any of them can decrypt file. Clear file is removed
+   * @param {String} file File path
+   * @param {Object} keys Keys, see `Encryption.keys`
+   * @returns {String} Encrypted file path (`<file>.enc`)
+   * @throws {Error} File system error
+   */
+  encrypt: async function encryptFile(file, keys) {
+    const key = crypto.randomBytes(32)
+    const iv = crypto.randomBytes(12)
+    const header = { cipher, iv: iv.toString('base64'), keys: [] }
+
+    if (keys.passphrase) {
+      const salt = crypto.randomBytes(16)
+      const wrapIv = crypto.randomBytes(12)
+      const wrap = crypto.createCipheriv(cipher, await scrypt(keys.passphrase, salt, 32), wrapIv)
+      const wrapped = Buffer.concat([wrap.update(key), wrap.final()])
+
+      header.keys.push({
+        type: 'passphrase',
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: wrapIv.toString('base64'),
+        tag: wrap.getAuthTag().toString('base64'),
+        key: wrapped.toString('base64')
+      })
+    }
+
+    for (const publicKey of keys.publicKeys) {
+      header.keys.push({ type: 'public-key', key: crypto.publicEncrypt(publicKey, key).toString('base64') })
+    }
+
+    const encoded = Buffer.from(JSON.stringify(header))
+    const length = Buffer.alloc(4)
+    const output = file + extension
+
+    length.writeUInt32BE(encoded.length)
+
+    const encryption = crypto.createCipheriv(cipher, key, iv)
+
+    // Header is authenticated along with content
+    encryption.setAAD(encoded)
+
+    await fs.promises.writeFile(output, Buffer.concat([signature, length, encoded]))
+    await pipeline(fs.createReadStream(file), encryption, fs.createWriteStream(output, { flags: 'a' }))
+    await fs.promises.appendFile(output, encryption.getAuthTag())
+    await fs.promises.unlink(file)
+
+    return output
+  },
+  /**
+   * Decrypt a file encrypted by `Encryption.encrypt`. Encrypted file is left untouched
+   * @param {String} file Encrypted file path
+   * @param {String} to Clear file path
+   * @param {Object?} keys Keys, see `Encryption.keys`
+   * @returns {void}
+   * @throws {Error} Missing or wrong keys, corrupted file
+   */
+  decrypt: async function decryptFile(file, to, keys) {
+    if (!Encryption.canDecrypt(keys)) {
+      throw new Error(`${file} is encrypted, give a passphrase or a private key to decrypt it`)
+    }
+
+    const { header, encoded, offset, size } = await readHeader(file)
+    let key = null
+
+    for (const entry of header.keys) {
+      try {
+        if (entry.type === 'passphrase' && keys.passphrase) {
+          const unwrap = crypto.createDecipheriv(
+            header.cipher,
+            await scrypt(keys.passphrase, Buffer.from(entry.salt, 'base64'), 32),
+            Buffer.from(entry.iv, 'base64')
+          )
+
+          unwrap.setAuthTag(Buffer.from(entry.tag, 'base64'))
+
+          key = Buffer.concat([unwrap.update(Buffer.from(entry.key, 'base64')), unwrap.final()])
+        } else if (entry.type === 'public-key' && keys.privateKey) {
+          key = crypto.privateDecrypt(keys.privateKey, Buffer.from(entry.key, 'base64'))
+        }
+      } catch (err) {
+        // Key was encrypted with another passphrase or public key
+      }
+
+      if (key) break
+    }
+
+    if (!key) {
+      throw new Error(`Cannot decrypt ${file}: wrong passphrase or private key`)
+    }
+
+    const decryption = crypto.createDecipheriv(header.cipher, key, Buffer.from(header.iv, 'base64'))
+    const tag = Buffer.alloc(tagLength)
+    const handle = await fs.promises.open(file, 'r')
+
+    try {
+      await handle.read(tag, 0, tagLength, size - tagLength)
+    } finally {
+      await handle.close()
+    }
+
+    decryption.setAAD(encoded)
+    decryption.setAuthTag(tag)
+
+    try {
+      await pipeline(
+        fs.createReadStream(file, { start: offset, end: size - tagLength - 1 }),
+        decryption,
+        fs.createWriteStream(to)
+      )
+    } catch (err) {
+      await fs.promises.unlink(to).catch(() => {})
+
+      throw new Error(`Cannot decrypt ${file}: file is corrupted`)
+    }
+  }
+}
+
+/**
+ * Read a key file
+ * @param {String} file File path
+ * @param {String} kind What file holds, for error message
+ * @returns {String} File content
+ * @throws {Error} Unreadable file (with EREAD code)
+ */
+const read = async function(file, kind) {
+  try {
+    return await fs.promises.readFile(file, 'utf8')
+  } catch (err) {
+    const error = new Error(`Cannot read ${kind} ${file}`)
+
+    error.code = 'EREAD'
+
+    throw error
+  }
+}
+
+/**
+ * Read header of an encrypted file
+ * @param {String} file Encrypted file path
+ * @returns {Object<header: Object, encoded: Buffer, offset: Number, size: Number>} Parsed header, raw header,
+ * offset of encrypted content and file size
+ * @throws {Error} File is not encrypted by gbulk
+ */
+const readHeader = async function(file) {
+  const handle = await fs.promises.open(file, 'r')
+
+  try {
+    const { size } = await handle.stat()
+    const start = Buffer.alloc(signature.length + 4)
+
+    await handle.read(start, 0, start.length, 0)
+
+    if (size < start.length + tagLength || !start.slice(0, signature.length).equals(signature)) {
+      throw new Error(`${file} is not encrypted by gbulk`)
+    }
+
+    const encoded = Buffer.alloc(start.readUInt32BE(signature.length))
+
+    await handle.read(encoded, 0, encoded.length, start.length)
+
+    return {
+      header: JSON.parse(encoded.toString()),
+      encoded,
+      offset: start.length + encoded.length,
+      size
+    }
+  } catch (err) {
+    throw err instanceof SyntaxError ? new Error(`${file} is not encrypted by gbulk`) : err
+  } finally {
+    await handle.close()
+  }
+}
+
+module.exports = Encryption
@@ -1,6 +1,14 @@
 const { CLIError } = require('@oclif/errors')
 const execa = require('execa')
 const os = require('os')
+const readline = require('readline')
+
+// Token is given to git through environment, so that it is neither stored in repositories config nor visible in process list
+const tokenVariable = 'GBULK_GIT_TOKEN'
+const credentialHelper = `!f() { if [ "$1" = get ]; then echo username=x-access-token; echo "password=$${tokenVariable}"; fi; }; f`
+// LFS pointer files are small text files, see https://github.com/git-lfs/git-lfs/blob/main/docs/spec.md
+const lfsPointerMaxSize = 1024
+const lfsPointerPattern = /^version https:\/\/git-lfs\.github\.com\/spec\/v1\noid sha256:([0-9a-f]{64})\nsize (\d+)$/gm
 
 const Git = {
   /**
@@ -21,12 +29,229 @@ const Git = {
    * @param {Object} data
    * @param {String} data.path Clone path
    * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
    * @param {Boolean} quiet
    * @returns {void}
    * @throws {Error} `execa` error
    */
-  clone: async function cloneRepository({ path, url }, pipe = false) {
-    await execa('git', ['clone', '--mirror', url, path], pipe && { stdio: 'inherit' })
+  clone: async function cloneRepository({ path, url, token }, pipe = false) {
+    await remote(['clone', '--mirror', url, path], token, pipe ? { stdio: 'inherit' } : {})
+  },
+  /**
+   * Run git clone, with a working tree
+   * @param {Object} data
+   * @param {String} data.path Clone path
+   * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  checkout: async function checkoutRepository({ path, url, token }) {
+    await remote(['clone', url, path], token)
+  },
+  /**
+   * Check if a path holds a mirror (bare) repository
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @returns {Boolean}
+   */
+  isMirror: async function isMirror({ path }) {
+    try {
+      const { stdout } = await execa('git', ['rev-parse', '--git-dir'], { cwd: path })
+
+      // In a bare repository, git directory is the repository itself
+      return stdout.trim() === '.'
+    } catch (err) {
+      return false
+    }
+  },
+  /**
+   * Update a mirror repository: fetch all refs from remote and prune deleted ones
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
+   * @param {Boolean} pipe
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  update: async function updateRepository({ path, url, token }, pipe = false) {
+    // Remote URL may have changed since last backup (eg. renamed repository, or token embedded by older versions)
+    await execa('git', ['remote', 'set-url', 'origin', url], { cwd: path })
+    await remote(['remote', 'update', '--prune'], token, { cwd: path, stdio: pipe ? 'inherit' : 'pipe' })
+  },
+  /**
+   * Fetch all branches of a working tree remotes, and prune deleted ones
+   * @param {Object} data
+   * @param {String} data.path Working tree path
+   * @param {String?} data.token Authentication token
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  fetch: async function fetchRepository({ path, token }) {
+    await remote(['fetch', '--all', '--prune'], token, { cwd: path })
+  },
+  /**
+   * List fetch URLs of a local repository remotes
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @returns {Array<String>} Remote URLs
+   * @throws {Error} `execa` error
+   */
+  remoteUrls: async function listRemoteUrls({ path }) {
+    const { stdout } = await execa('git', ['remote', '-v'], { cwd: path })
+
+    return stdout.split(os.EOL).reduce((acc, line) => {
+      // Formatted as <name>\t<url> (fetch|push)
+      const [, url] = line.match(/^\S+\t(\S+) \(fetch\)$/) || []
+
+      if (url && acc.indexOf(url) === -1) {
+        acc.push(url)
+      }
+
+      return acc
+    }, [])
+  },
+  /**
+   * Merge upstream branch of current branch in a working tree, only if it is a fast-forward
+   * @param {Object} data
+   * @param {String} data.path Working tree path
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  fastForward: async function fastForward({ path }) {
+    await execa('git', ['merge', '--ff-only', '@{upstream}'], { cwd: path })
+  },
+  /**
+   * Get status of a working tree
+   * @param {Object} data
+   * @param {String} data.path Working tree path
+   * @returns {Object<branch: String?, upstream: String?, ahead: Number, behind: Number, changes: Number>}
+   * Current branch (null when detached), its upstream branch, commits ahead and behind upstream,
+   * and count of changed or untracked files
+   * @throws {Error} `execa` error
+   */
+  status: async function workingTreeStatus({ path }) {
+    const { stdout } = await execa('git', ['status', '--porcelain=v2', '--branch'], { cwd: path })
+    const status = { branch: null, upstream: null, ahead: 0, behind: 0, changes: 0 }
+
+    for (const line of stdout.split('\n')) {
+      if (!line) continue
+
+      // Headers are `# branch.<key> <values>`, other lines are changed or untracked files
+      if (!line.startsWith('# ')) {
+        status.changes++
+
+        continue
+      }
+
+      const [, key, ...values] = line.split(' ')
+
+      if (key === 'branch.head') {
+        status.branch = values[0] === '(detached)' ? null : values[0]
+      } else if (key === 'branch.upstream') {
+        status.upstream = values[0]
+      } else if (key === 'branch.ab') {
+        // Formatted as +<ahead> -<behind>
+        status.ahead = +values[0]
+        status.behind = -values[1]
+      }
+    }
+
+    return status
+  },
+  /**
+   * Push branches and tags of a local repository to a remote
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
+   * @param {Boolean} prune Delete remote branches and tags that do not exist locally
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  push: async function pushRepository({ path, url, token }, prune = false) {
+    // Pushing with --mirror would fail on GitHub read-only refs (eg. refs/pull)
+    const refspecs = ['+refs/heads/*:refs/heads/*', '+refs/tags/*:refs/tags/*']
+
+    await remote(['push'].concat(prune ? ['--prune'] : [], url, refspecs), token, { cwd: path })
+  },
+  /**
+   * Check if a remote repository has no branches nor tags
+   * @param {Object} data
+   * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
+   * @returns {Boolean}
+   * @throws {Error} `execa` error
+   */
+  isEmptyRemote: async function isEmptyRemote({ url, token }) {
+    const { stdout } = await remote(['ls-remote', '--heads', '--tags', url], token)
+
+    return !stdout.trim()
+  },
+  /**
+   * List branches of a local repository
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @returns {Object<String, String>} Commit SHA by ref name
+   * @throws {Error} `execa` error
+   */
+  heads: async function listHeads({ path }) {
+    const { stdout: refs } = await execa('git', ['for-each-ref', '--format=%(objectname) %(refname)', 'refs/heads'], {
+      cwd: path
+    })
+
+    return refs.split(os.EOL).reduce((acc, ref) => {
+      const [sha, _ref] = ref.split(' ')
+
+      if (_ref) {
+        acc[_ref] = sha
+      }
+
+      return acc
+    }, {})
+  },
+  /**
+   * List branches of a remote repository
+   * @param {Object} data
+   * @param {String} data.url Remote URL
+   * @param {String?} data.token Authentication token
+   * @returns {Object<String, String>} Commit SHA by ref name
+   * @throws {Error} `execa` error
+   */
+  remoteHeads: async function listRemoteHeads({ url, token }) {
+    const { stdout: refs } = await remote(['ls-remote', '--heads', url], token)
+
+    return refs.split(os.EOL).reduce((acc, ref) => {
+      const [sha, _ref] = ref.split('\t')
+
+      if (_ref) {
+        acc[_ref] = sha
+      }
+
+      return acc
+    }, {})
+  },
+  /**
+   * Check connectivity and validity of all objects of a local repository
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @returns {void}
+   * @throws {Error} `execa` error, with problems found in its stderr
+   */
+  fsck: async function checkRepository({ path }) {
+    await execa('git', ['fsck', '--full', '--no-dangling', '--no-progress'], { cwd: path })
+  },
+  /**
+   * Write all refs of a local repository to a bundle file
+   * @param {Object} data
+   * @param {String} data.path Repository path
+   * @param {String} data.file Bundle file path
+   * @returns {void}
+   * @throws {Error} `execa` error
+   */
+  bundle: async function bundleRepository({ path, file }) {
+    await execa('git', ['bundle', 'create', file, '--all'], { cwd: path })
   },
   /**
    * Delete /pull references from a local repository
@@ -55,6 +280,25 @@ const Git = {
       }
     }
   },
+  /**
+   * Remove credentials from a git output or error message, before it is shown or written
+   * @param {String} text Text to remove credentials from
+   * @param {String?} token Authentication token
+   * @returns {String} Text without credentials
+   */
+  redact: function redactCredentials(text, token) {
+    return redact(String(text), token)
+  },
+  /**
+   * Get first line of a git command error, from its output when there is one
+   * @param {Error} err `execa` error
+   * @returns {String} First line of error
+   */
+  errorLine: function errorLine(err) {
+    return String(err.stderr || err.shortMessage || err.message)
+      .trim()
+      .split('\n')[0]
+  },
   LFS: {
     /**
      * Try to run `git lfs version`
@@ -69,18 +313,123 @@ const Git = {
         return false
       }
     },
+    /**
+     * List LFS objects referenced by a local repository, reading pointer files in all of its objects
+     * (does not need git lfs)
+     * @param {Object} data
+     * @param {String} data.path Repository path
+     * @returns {Array<Object<oid: String, size: Number>>} LFS objects
+     * @throws {Error} `execa` error
+     */
+    objects: async function listLFSObjects({ path }) {
+      const listing = execa(
+        'git',
+        ['cat-file', '--batch-all-objects', '--batch-check=%(objectname) %(objecttype) %(objectsize)'],
+        { cwd: path }
+      )
+      const candidates = []
+
+      // Repositories may have a lot of objects, only keep blobs small enough to be pointers
+      for await (const line of readline.createInterface({ input: listing.stdout })) {
+        const [sha, type, size] = line.split(' ')
+
+        if (type === 'blob' && +size <= lfsPointerMaxSize) {
+          candidates.push(sha)
+        }
+      }
+
+      await listing
+
+      if (!candidates.length) {
+        return []
+      }
+
+      const { stdout: blobs } = await execa('git', ['cat-file', '--batch'], {
+        cwd: path,
+        input: candidates.join('\n') + '\n'
+      })
+      const objects = {}
+
+      for (const [, oid, size] of blobs.matchAll(lfsPointerPattern)) {
+        objects[oid] = { oid, size: +size }
+      }
+
+      return Object.values(objects)
+    },
     /**
      * Fetch remote LFS objects for a local repository
      * @param {Object} data
      * @param {String} data.path Repository path
+     * @param {String?} data.token Authentication token
      * @param {Boolean} quiet
      * @returns {void}
      * @throws {Error} `execa` error
      */
-    fetch: async function fetchLFS({ path }, pipe = false) {
-      await execa('git', ['lfs', 'fetch', '--all'], { cwd: path, stdio: pipe ? 'inherit' : 'pipe' })
+    fetch: async function fetchLFS({ path, token }, pipe = false) {
+      await remote(['lfs', 'fetch', '--all'], token, { cwd: path, stdio: pipe ? 'inherit' : 'pipe' })
+    },
+    /**
+     * Push all LFS objects of a local repository to a remote
+     * @param {Object} data
+     * @param {String} data.path Repository path
+     * @param {String} data.url Remote URL
+     * @param {String?} data.token Authentication token
+     * @param {Boolean} pipe
+     * @returns {void}
+     * @throws {Error} `execa` error
+     */
+    push: async function pushLFS({ path, url, token }, pipe = false) {
+      await remote(['lfs', 'push', '--all', url], token, { cwd: path, stdio: pipe ? 'inherit' : 'pipe' })
     }
   }
 }
 
+/**
+ * Run a git command talking to a remote, authenticating with token through a credential helper
+ * @param {Array<String>} args Git arguments
+ * @param {String?} token Authentication token
+ * @param {Object?} options `execa` options
+ * @returns {Object} `execa` result
+ * @throws {Error} `execa` error, with credentials removed from its messages
+ */
+const remote = async function(args, token, options = {}) {
+  // Never prompt for credentials, missing or private remote repository must fail
+  const env = Object.assign({ GIT_TERMINAL_PROMPT: '0' }, options.env)
+  let config = []
+
+  if (token) {
+    env[tokenVariable] = token
+    // Empty helper first disables other configured helpers, which could store token
+    config = ['-c', 'credential.helper=', '-c', `credential.helper=${credentialHelper}`]
+  }
+
+  try {
+    return await execa('git', config.concat(args), Object.assign({}, options, { env }))
+  } catch (err) {
+    // Credential helper configuration only adds noise to error messages
+    const noise = config.length ? config.join(' ') + ' ' : null
+
+    for (const key of ['message', 'shortMessage', 'command', 'stderr', 'stdout', 'all']) {
+      if (typeof err[key] === 'string') {
+        err[key] = redact(noise ? err[key].split(noise).join('') : err[key], token)
+      }
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Remove credentials from a git output or error message
+ * @param {String} text Text to remove credentials from
+ * @param {String?} token Authentication token
+ * @returns {String} Text without credentials
+ */
+const redact = function(text, token) {
+  // Remote URLs may still embed credentials (eg. mirrors made by older versions)
+  text = text.replace(/(https?:\/\/)[^/@\s]+@/g, '$1***@')
+
+  return token ? text.split(token).join('***') : text
+}
+
 module.exports = Git
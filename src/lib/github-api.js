@@ -2,50 +2,253 @@ const axios = require('axios')
 const _debug = require('debug')
 
 const createDebugger = (reporter) => _debug(`github-api${reporter ? ':' + reporter : ''}`)
-const base = 'https://api.github.com'
+const defaultBase = 'https://api.github.com'
+// Repository topics are only returned with this media type
+const topicsMediaType = 'application/vnd.github.mercy-preview+json'
+// Transient failures (server errors, network errors, secondary rate limits) are retried with exponential backoff
+const maxRetries = 4
+const retryDelay = 1000
+const secondaryRateLimitDelay = 60 * 1000
+const retriedNetworkErrors = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']
+// Repository resources exported along with backups, and how to fetch only their updated items
+const resources = {
+  issues: { path: '/issues', params: { state: 'all' }, incremental: 'since' },
+  'issue-comments': { path: '/issues/comments', incremental: 'since' },
+  pulls: { path: '/pulls', params: { state: 'all', sort: 'updated', direction: 'desc' }, incremental: 'sorted' },
+  'review-comments': { path: '/pulls/comments', incremental: 'since' },
+  labels: { path: '/labels' },
+  milestones: { path: '/milestones', params: { state: 'all' } },
+  releases: { path: '/releases' }
+}
 
 const GithubAPI = {
+  resources: Object.keys(resources),
   get: {
     /**
      * Get details about a user. Defaults to user represented by token
-     * @param {String} token Authentication token
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
      * @param {String?} user User name to get details
      * @throws {Error|String} Github API error message or axios error
-     * @returns {Object} User details
+     * @returns {Object} User details. Authenticated user details include OAuth scopes granted to token (`scopes`)
      * @see https://developer.github.com/v3/users/#get-a-single-user
      * @see https://developer.github.com/v3/users/#get-the-authenticated-user
      */
-    user: async function getUser(token, user) {
-      if (!token) {
+    user: async function getUser(auth, user) {
+      if (!auth || !auth.token) {
         throw new Error('No token provided @getUser')
       }
 
       const debug = createDebugger('get-user')
+      const authenticated = !user
       let url
 
       if (!user) {
         debug('fetch authenticated user details')
 
-        url = base + '/user'
+        url = apiBase(auth) + '/user'
       } else {
         debug('fetch user', user, 'details')
 
-        url = base + '/users/' + user
+        url = apiBase(auth) + '/users/' + user
       }
 
       try {
-        const user = await axios({
+        const user = await request(debug, {
           method: 'get',
           url,
           headers: {
-            Authorization: 'token ' + token
+            Authorization: 'token ' + auth.token
           }
         })
 
+        if (authenticated) {
+          const scopes = user.headers['x-oauth-scopes']
+
+          // Header is missing when token has no OAuth scopes
+          return Object.assign({}, user.data, {
+            scopes: typeof scopes === 'string' ? scopes.split(/\s*,\s*/).filter(Boolean) : null
+          })
+        }
+
         return user.data
       } catch (err) {
-        if (err.response.status >= 400) {
-          throw err.response.data.message
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    },
+    /**
+     * Get details about a repository
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} fullName Repository full name (owner/name)
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Object?} Repository details, null if repository does not exist
+     * @see https://developer.github.com/v3/repos/#get
+     */
+    repository: async function getRepository(auth, fullName) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getRepository')
+      }
+
+      const debug = createDebugger('get-repository')
+
+      debug('fetch repository', fullName, 'details')
+
+      try {
+        // Renamed repositories are redirected to their new location
+        const repository = await request(debug, {
+          method: 'get',
+          url: apiBase(auth) + '/repos/' + fullName,
+          headers: {
+            Accept: topicsMediaType,
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return formatRepository(repository.data)
+      } catch (err) {
+        if (err.response && err.response.status === 404) {
+          return null
+        }
+
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    },
+    /**
+     * Get details about an organization team
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} org Organization name
+     * @param {String} slug Team slug
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Object} Team details
+     * @see https://developer.github.com/v3/teams/#get-team-by-name
+     */
+    team: async function getTeam(auth, org, slug) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getTeam')
+      }
+
+      const debug = createDebugger('get-team')
+
+      debug('fetch team', slug, 'of organization', org)
+
+      try {
+        const team = await request(debug, {
+          method: 'get',
+          url: apiBase(auth) + '/orgs/' + org + '/teams/' + slug,
+          headers: {
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return team.data
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    },
+    /**
+     * Get all items of a repository resource (issues, pull requests, comments, labels, milestones or releases)
+     * @param {Object} data
+     * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+     * @param {String} data.fullName Repository full name (owner/name)
+     * @param {String} data.resource Resource name, one of `GithubAPI.resources`
+     * @param {String?} data.since Only get items updated at or after this ISO 8601 timestamp, when resource supports it
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Array} List of resource items
+     * @see https://developer.github.com/v3/issues/#list-issues-for-a-repository
+     * @see https://developer.github.com/v3/pulls/#list-pull-requests
+     */
+    resource: async function getRepositoryResource({ auth, fullName, resource, since }) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getRepositoryResource')
+      }
+
+      const debug = createDebugger('get-resource')
+      const { path, params = {}, incremental } = resources[resource]
+
+      debug('fetch repository', fullName, resource, since ? 'updated since ' + since : '')
+
+      if (!since || !incremental) {
+        return recursePages({ token: auth.token, url: apiBase(auth) + '/repos/' + fullName + path, params, debug })
+      }
+
+      if (incremental === 'since') {
+        return recursePages({
+          token: auth.token,
+          url: apiBase(auth) + '/repos/' + fullName + path,
+          params: Object.assign({ since }, params),
+          debug
+        })
+      }
+
+      // Resource sorted by update date, stop as soon as a page reaches items not updated since
+      const items = await recursePages({
+        token: auth.token,
+        url: apiBase(auth) + '/repos/' + fullName + path,
+        params,
+        stop: (page) => page.some((item) => item.updated_at < since),
+        debug
+      })
+
+      return items.filter((item) => item.updated_at >= since)
+    },
+    /**
+     * Get content of a release asset
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} url Asset API url
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {ReadableStream} Asset content
+     * @see https://developer.github.com/v3/repos/releases/#get-a-single-release-asset
+     */
+    asset: async function getAsset(auth, url) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getAsset')
+      }
+
+      const debug = createDebugger('get-asset')
+
+      debug('fetch asset', url)
+
+      try {
+        const redirect = await request(debug, {
+          method: 'get',
+          url,
+          maxRedirects: 0,
+          validateStatus: (status) => status < 400,
+          responseType: 'stream',
+          headers: {
+            Accept: 'application/octet-stream',
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        if (!redirect.headers.location) {
+          return redirect.data
+        }
+
+        redirect.data.destroy()
+
+        // Asset storage rejects requests authenticated for Github API
+        const asset = await request(debug, {
+          method: 'get',
+          url: redirect.headers.location,
+          responseType: 'stream'
+        })
+
+        return asset.data
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw `Cannot download asset ${url} (HTTP ${err.response.status})`
         }
 
         throw err
@@ -54,7 +257,7 @@ const GithubAPI = {
     /**
      * Get repositories of an account (user or organization). Defaults to user represented by token
      * @param {Object} data
-     * @param {String} data.token Authentication token
+     * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
      * @param {String} data.from Account to get list of repositories from
      * @param {Object<affiliation: Array[String]?, type: String?>?} data.options API options
      * @throws {Error} Missing token
@@ -63,8 +266,8 @@ const GithubAPI = {
      * @see https://developer.github.com/v3/repos/#list-user-repositories
      * @see https://developer.github.com/v3/repos/#list-organization-repositories
      */
-    repositories: async function getRepositories({ token, from, options }) {
-      if (!token) {
+    repositories: async function getRepositories({ auth, from, options = {} }) {
+      if (!auth || !auth.token) {
         throw new Error('No token provided @getAuthenticatedUserRepositories')
       }
 
@@ -91,10 +294,417 @@ const GithubAPI = {
           return acc
         }, {})
 
-        return recurseRepositories({ token, url: base + '/user/repos', params, debug })
+        return recurseRepositories({ token: auth.token, url: apiBase(auth) + '/user/repos', params, debug })
+      }
+
+      const account = await GithubAPI.get.user(auth, from)
+      const affiliation = options.affiliation || []
+      const params = {}
+      let url
+
+      if (account.type === 'Organization') {
+        debug('fetch organization', account.login, 'repositories')
+
+        url = apiBase(auth) + '/orgs/' + account.login + '/repos'
+
+        // Organization endpoint accepts a single type: member filter takes precedence, visibility is filtered below
+        if (affiliation.length && affiliation.indexOf('owner') === -1 && affiliation.indexOf('member') !== -1) {
+          params.type = 'member'
+        } else {
+          params.type = options.type || 'all'
+        }
+      } else {
+        debug('fetch user', account.login, 'repositories')
+
+        url = apiBase(auth) + '/users/' + account.login + '/repos'
+
+        const owner = !affiliation.length || affiliation.indexOf('owner') !== -1
+        const member = !affiliation.length || affiliation.some((val) => val === 'collaborator' || val === 'member')
+
+        params.type = owner && member ? 'all' : owner ? 'owner' : 'member'
+      }
+
+      const repositories = await recurseRepositories({ token: auth.token, url, params, debug })
+
+      if (options.type === 'public' || options.type === 'private') {
+        return repositories.filter((repo) => repo.private === (options.type === 'private'))
+      }
+
+      return repositories
+    },
+    /**
+     * Get gists of a user. Defaults to user represented by token (including secret gists)
+     * @param {Object} data
+     * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+     * @param {String?} data.from User to get list of gists from
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Array} List of gists, formatted as repositories
+     * @see https://developer.github.com/v3/gists/#list-a-users-gists
+     */
+    gists: async function getGists({ auth, from }) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getGists')
+      }
+
+      const debug = createDebugger('get-gists')
+
+      debug('fetch', from ? from : 'authenticated user', 'gists')
+
+      const gists = await recursePages({
+        token: auth.token,
+        url: apiBase(auth) + (from ? '/users/' + from + '/gists' : '/gists'),
+        debug
+      })
+
+      return gists.map((gist) => formatGist(gist))
+    },
+    /**
+     * Get repositories starred by a user. Defaults to user represented by token
+     * @param {Object} data
+     * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+     * @param {String?} data.from User to get list of starred repositories from
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Array} List of repositories
+     * @see https://developer.github.com/v3/activity/starring/#list-repositories-being-starred
+     */
+    starred: async function getStarred({ auth, from }) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @getStarred')
+      }
+
+      const debug = createDebugger('get-starred')
+
+      debug('fetch repositories starred by', from ? from : 'authenticated user')
+
+      return recurseRepositories({
+        token: auth.token,
+        url: apiBase(auth) + (from ? '/users/' + from + '/starred' : '/user/starred'),
+        debug
+      })
+    }
+  },
+  create: {
+    /**
+     * Create a repository for authenticated user or in an organization
+     * @param {Object} data
+     * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+     * @param {String?} data.org Organization to create repository in. Defaults to user represented by token
+     * @param {String} data.name Repository name
+     * @param {Object<private: Boolean?, description: String?>?} data.options API options
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Object} Created repository
+     * @see https://developer.github.com/v3/repos/#create
+     */
+    repository: async function createRepository({ auth, org, name, options = {} }) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @createRepository')
+      }
+
+      const debug = createDebugger('create-repository')
+
+      debug('create repository', name, org ? 'in organization ' + org : 'for authenticated user')
+
+      try {
+        const repository = await request(debug, {
+          method: 'post',
+          url: apiBase(auth) + (org ? '/orgs/' + org + '/repos' : '/user/repos'),
+          data: Object.assign({ name }, options),
+          headers: {
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return formatRepository(repository.data)
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    }
+  },
+  transfer: {
+    /**
+     * Transfer a repository to another user or organization
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} fullName Repository full name (owner/name)
+     * @param {Object} data
+     * @param {String} data.newOwner User or organization to transfer repository to
+     * @param {Array<Number>?} data.teamIds Teams of new owner organization to give access to repository
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Object} Transferred repository
+     * @see https://developer.github.com/v3/repos/#transfer-a-repository
+     */
+    repository: async function transferRepository(auth, fullName, { newOwner, teamIds }) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @transferRepository')
       }
 
-      return []
+      const debug = createDebugger('transfer-repository')
+
+      debug('transfer repository', fullName, 'to', newOwner)
+
+      try {
+        const repository = await request(debug, {
+          method: 'post',
+          url: apiBase(auth) + '/repos/' + fullName + '/transfer',
+          data: {
+            new_owner: newOwner,
+            team_ids: teamIds
+          },
+          headers: {
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return formatRepository(repository.data)
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    }
+  },
+  update: {
+    /**
+     * Update settings of a repository
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} fullName Repository full name (owner/name)
+     * @param {Object} settings Settings to update
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Object} Updated repository
+     * @see https://developer.github.com/v3/repos/#edit
+     */
+    repository: async function updateRepository(auth, fullName, settings) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @updateRepository')
+      }
+
+      const debug = createDebugger('update-repository')
+
+      debug('update repository', fullName, 'settings', Object.keys(settings).join(','))
+
+      try {
+        const repository = await request(debug, {
+          method: 'patch',
+          url: apiBase(auth) + '/repos/' + fullName,
+          data: settings,
+          headers: {
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return formatRepository(repository.data)
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    },
+    /**
+     * Replace topics of a repository
+     * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+     * @param {String} fullName Repository full name (owner/name)
+     * @param {Array<String>} topics Topics
+     * @throws {Error|String} Github API error message or axios error
+     * @returns {Array<String>} Repository topics
+     * @see https://developer.github.com/v3/repos/#replace-all-topics-for-a-repository
+     */
+    topics: async function updateTopics(auth, fullName, topics) {
+      if (!auth || !auth.token) {
+        throw new Error('No token provided @updateTopics')
+      }
+
+      const debug = createDebugger('update-topics')
+
+      debug('update repository', fullName, 'topics', topics.join(','))
+
+      try {
+        const response = await request(debug, {
+          method: 'put',
+          url: apiBase(auth) + '/repos/' + fullName + '/topics',
+          data: { names: topics },
+          headers: {
+            Accept: topicsMediaType,
+            Authorization: 'token ' + auth.token
+          }
+        })
+
+        return response.data.names
+      } catch (err) {
+        if (err.response && err.response.status >= 400) {
+          throw errorMessage(err)
+        }
+
+        throw err
+      }
+    }
+  }
+}
+
+/**
+ * Get API base URL of authentication details host
+ * @param {Object<api: String?>} auth Authentication details, see `Auth.get`
+ * @returns {String} API base URL, without trailing slash. Defaults to github.com API
+ */
+const apiBase = function(auth) {
+  return (auth.api || defaultBase).replace(/\/+$/, '')
+}
+
+/**
+ * Send a request to Github API, waiting for rate limits to reset and retrying transient failures
+ * @param {Function} debug Debugging function
+ * @param {Object} options Axios request options
+ * @param {Number?} attempt Number of previous attempts
+ * @throws {Error} Axios error, once request cannot be retried anymore
+ * @returns {Object} Axios response
+ * @see https://developer.github.com/v3/#rate-limiting
+ * @see https://developer.github.com/v3/guides/best-practices-for-integrators/#dealing-with-abuse-rate-limits
+ */
+const request = async function(debug, options, attempt = 0) {
+  try {
+    return await axios(options)
+  } catch (err) {
+    const delay = retryAfter(err, options.method, attempt)
+
+    if (delay === null || attempt >= maxRetries) {
+      throw err
+    }
+
+    debug(
+      `${options.method} ${options.url} failed (${err.response ? 'HTTP ' + err.response.status : err.code}),`,
+      `retrying in ${Math.ceil(delay / 1000)}s`
+    )
+
+    await wait(delay)
+
+    return request(debug, options, attempt + 1)
+  }
+}
+
+/**
+ * Find how long to wait before retrying a failed request
+ * @param {Error} err Axios error
+ * @param {String} method Request method
+ * @param {Number} attempt Number of previous attempts
+ * @returns {Number?} Delay in milliseconds, null if request must not be retried
+ */
+const retryAfter = function(err, method, attempt) {
+  const backoff = retryDelay * Math.pow(2, attempt)
+
+  if (!err.response) {
+    // Request may have been processed, only retry requests that can safely be sent twice
+    return method !== 'post' && retriedNetworkErrors.indexOf(err.code) !== -1 ? backoff : null
+  }
+
+  const { status, headers = {}, data } = err.response
+
+  if (status === 403 || status === 429) {
+    if (headers['retry-after']) {
+      return +headers['retry-after'] * 1000
+    }
+
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      // Add a second to make up for clocks drift
+      return Math.max(+headers['x-ratelimit-reset'] * 1000 - Date.now(), 0) + 1000
+    }
+
+    if (data && /secondary rate limit|abuse/i.test(data.message)) {
+      return secondaryRateLimitDelay * Math.pow(2, attempt)
+    }
+
+    return null
+  }
+
+  if (status >= 500 && method !== 'post') {
+    return backoff
+  }
+
+  return null
+}
+
+/**
+ * Wait for some time
+ * @param {Number} ms Delay in milliseconds
+ * @returns {void}
+ */
+const wait = function(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Get message of a Github API error response
+ * @param {Error} err Axios error
+ * @returns {String} Github API error message, or HTTP status when response has none
+ */
+const errorMessage = function(err) {
+  const { status, statusText, data } = err.response
+
+  return (data && data.message) || `HTTP ${status}${statusText ? ' ' + statusText : ''}`
+}
+
+/**
+ * Keep only needed details from a Github API repository
+ * @param {Object} repo Github API repository
+ * @returns {Object} Repository
+ */
+const formatRepository = function(repo) {
+  const https = repo.clone_url
+
+  return {
+    fullName: repo.full_name,
+    name: repo.name,
+    description: repo.description,
+    private: repo.private,
+    fork: repo.fork,
+    archived: repo.archived,
+    defaultBranch: repo.default_branch,
+    pushedAt: repo.pushed_at,
+    language: repo.language,
+    topics: repo.topics || [],
+    // In kilobytes
+    size: repo.size,
+    hasWiki: repo.has_wiki,
+    hasIssues: repo.has_issues,
+    // Merge options are only given with details of a single repository
+    allowMergeCommit: repo.allow_merge_commit,
+    allowSquashMerge: repo.allow_squash_merge,
+    allowRebaseMerge: repo.allow_rebase_merge,
+    deleteBranchOnMerge: repo.delete_branch_on_merge,
+    urls: {
+      https,
+      wiki: https.replace(/\.git$/, '.wiki.git')
+    }
+  }
+}
+
+/**
+ * Keep only needed details from a Github API gist, formatted as a repository
+ * @param {Object} gist Github API gist
+ * @returns {Object} Repository
+ */
+const formatGist = function(gist) {
+  const owner = gist.owner ? gist.owner.login : 'anonymous'
+  const files = Object.values(gist.files || {})
+
+  return {
+    fullName: `${owner}/${gist.id}`,
+    name: gist.id,
+    description: gist.description,
+    private: !gist.public,
+    fork: false,
+    archived: false,
+    pushedAt: gist.updated_at,
+    language: (files.find((file) => file.language) || {}).language || null,
+    topics: [],
+    size: Math.ceil(files.reduce((acc, file) => acc + (file.size || 0), 0) / 1024),
+    urls: {
+      https: gist.git_pull_url
     }
   }
 }
@@ -105,78 +715,96 @@ const GithubAPI = {
  * @param {String} data.token Authentication token
  * @param {String} data.url Url to fetch
  * @param {Object?} data.params Query parameters
- * @param {Array} data.repositories List of fetched repositories
- * @param {Number} data.page Page number
  * @param {Function} debug Debugging function
+ * @throws {Error|String} Github API error message or axios error
+ * @returns {Array} List of repositories
+ */
+const recurseRepositories = async function({ token, url, params, debug }) {
+  const items = await recursePages({ token, url, params, accept: topicsMediaType, debug })
+
+  if (!items.length) {
+    debug('no repositories found')
+  }
+
+  const repositories = items.reduce((acc, repo) => {
+    if (repo.permissions && !repo.permissions.pull) {
+      debug(`user do not have pull right on repository ${repo.name}, skipping it`)
+    } else {
+      acc.push(formatRepository(repo))
+    }
+
+    return acc
+  }, [])
+
+  if (repositories.length !== items.length) {
+    debug(`user have pull right over ${repositories.length}/${items.length} repos)`)
+  }
+
+  return repositories
+}
+
+/**
+ * Fetch a list with recursive pagination support
+ * @param {Object} data
+ * @param {String} data.token Authentication token
+ * @param {String} data.url Url to fetch
+ * @param {Object?} data.params Query parameters
+ * @param {Array} data.items List of fetched items
+ * @param {Function?} data.stop Called with each fetched page, stop fetching next pages if it returns true
+ * @param {String?} data.accept Media type to request
+ * @param {Function} debug Debugging function
+ * @throws {Error|String} Github API error message or axios error
+ * @returns {Array} List of fetched items
  */
-const recurseRepositories = async function({ token, url, params, repositories = [], page = 1, debug }) {
+const recursePages = async function({ token, url, params, items = [], stop, accept, debug }) {
   debug('fetch', url)
 
-  let repos = []
   let res = {}
 
   try {
-    res = await axios({
+    res = await request(debug, {
       method: 'get',
       url,
       params,
-      headers: {
+      headers: Object.assign(accept ? { Accept: accept } : {}, {
         Authorization: `token ${token}`
-      }
+      })
     })
   } catch (err) {
     debug('fetch failed')
-    debug(err)
-  }
 
-  if (res.data && Array.isArray(res.data) && res.data.length) {
-    debug(`got ${res.data.length} repos`)
+    if (err.response && err.response.status >= 400) {
+      throw errorMessage(err)
+    }
 
-    repos = res.data.reduce((acc, repo) => {
-      if (repo.permissions && !repo.permissions.pull) {
-        debug(`user do not have pull right on repository ${repo.name}, skipping it`)
-      } else {
-        acc.push({
-          fullName: repo.full_name,
-          name: repo.name,
-          description: repo.description,
-          private: repo.private,
-          fork: repo.fork,
-          urls: {
-            https: repo.clone_url.replace(/github.com/, `${token}@github.com`)
-          }
-        })
-      }
+    throw err
+  }
 
-      return acc
-    }, [])
+  const page = Array.isArray(res.data) ? res.data : []
 
-    if (repos.length !== res.data.length) {
-      debug(`user have pull right over ${repos.length}/${res.data.length} repos)`)
-    }
-  } else {
-    debug('no repositories found')
-  }
+  debug(`got ${page.length} items`)
 
-  if (res.headers && res.headers.link) {
+  items = items.concat(page)
+
+  if (res.headers && res.headers.link && !(stop && stop(page))) {
     const nextLink = res.headers.link.split(',').find((link) => link.indexOf('rel="next"') !== -1)
 
     if (nextLink) {
       const [, nextUrl] = nextLink.match(/<(.*)?>; rel="next"/)
-      const nextPageNumber = nextUrl.replace(/(.*&page=)(\d)(.*)/, '$2')
 
       // Do not send again query params (they are already in nextUrl)
-      return recurseRepositories({
+      return recursePages({
         token,
         url: nextUrl,
-        repositories: repositories.concat(repos),
-        page: nextPageNumber,
+        items,
+        stop,
+        accept,
         debug
       })
     }
   }
 
-  return repositories.concat(repos)
+  return items
 }
 
 module.exports = GithubAPI
@@ -0,0 +1,86 @@
+const fs = require('fs')
+const path = require('path')
+
+const manifestVersion = 1
+const manifestPattern = /^gbulk-manifest-(\d+)\.json$/
+
+const Manifest = {
+  /**
+   * Create an empty manifest for a backup run
+   * @param {Object} data
+   * @param {String} data.source Account repositories are backup from
+   * @param {String} data.user Authenticated user
+   * @param {String} data.destination Backup destination path
+   * @param {Object} data.filters Filters used to select repositories
+   * @param {String?} data.snapshot Name of snapshot destination is, in snapshot mode
+   * @returns {Object} Manifest
+   */
+  create: function createManifest({ source, user, destination, filters = {}, snapshot = null }) {
+    return {
+      version: manifestVersion,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      source,
+      user,
+      destination: path.resolve(destination),
+      snapshot,
+      filters,
+      repositories: [],
+      stale: []
+    }
+  },
+  /**
+   * Write manifest of a backup run in its destination (`<destination>/gbulk-manifest-<timestamp>.json`)
+   * @param {Object} manifest Manifest
+   * @returns {String} Manifest path
+   * @throws {Error} File system error
+   */
+  write: async function writeManifest(manifest) {
+    const manifestPath = path.join(
+      manifest.destination,
+      `gbulk-manifest-${new Date(manifest.startedAt).getTime()}.json`
+    )
+
+    manifest.endedAt = new Date().toISOString()
+    manifest.repositories.sort((a, b) => a.fullName.localeCompare(b.fullName))
+
+    await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n')
+
+    return manifestPath
+  },
+  /**
+   * Check whether a file name is the one of a manifest
+   * @param {String} file File name
+   * @returns {Boolean}
+   */
+  isManifest: function isManifest(file) {
+    return manifestPattern.test(file)
+  },
+  /**
+   * Read latest manifest written in a backup destination
+   * @param {String} destination Backup destination path
+   * @returns {Object?} Manifest, null if destination has no manifest
+   * @throws {Error} File system or JSON parsing error
+   */
+  latest: async function readLatestManifest(destination) {
+    let files = []
+
+    try {
+      files = await fs.promises.readdir(destination)
+    } catch (err) {
+      return null
+    }
+
+    const latest = files
+      .filter((file) => manifestPattern.test(file))
+      .sort((a, b) => +b.match(manifestPattern)[1] - +a.match(manifestPattern)[1])[0]
+
+    if (!latest) {
+      return null
+    }
+
+    return JSON.parse(await fs.promises.readFile(path.join(destination, latest), 'utf8'))
+  }
+}
+
+module.exports = Manifest
@@ -0,0 +1,109 @@
+const _debug = require('debug')
+const fs = require('fs')
+const path = require('path')
+
+const GithubAPI = require('./github-api')
+
+const debug = _debug('metadata')
+const metadataVersion = 1
+
+const Metadata = {
+  /**
+   * Export Github metadata of a repository (issues, pull requests, comments, labels, milestones and releases)
+   * as JSON files next to its mirror (`<destination>/<owner>/<repo>.metadata/<resource>.json`).
+   * When a previous export exists, only items updated since then are fetched and merged into it
+   * @param {Object} data
+   * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+   * @param {Object} data.repository Repository to export metadata of
+   * @param {String} data.destination Backup destination path
+   * @returns {Object<String, Number>} Number of exported items by resource
+   * @throws {Error|String} Github API error message, axios error or file system error
+   */
+  export: async function exportMetadata({ auth, repository, destination }) {
+    const directory = Metadata.path(destination, repository.fullName)
+    const counts = {}
+
+    await fs.promises.mkdir(directory, { recursive: true })
+
+    for (const resource of GithubAPI.resources) {
+      const file = path.join(directory, `${resource}.json`)
+      const previous = await readExport(file)
+      // Items updated during export will be fetched again next time
+      const exportedAt = new Date().toISOString()
+      const since = previous ? previous.exportedAt : null
+      const items = await GithubAPI.get.resource({ auth, fullName: repository.fullName, resource, since })
+
+      debug(`got ${items.length} ${resource} of ${repository.fullName}${since ? ' updated since ' + since : ''}`)
+
+      const merged = mergeItems(previous ? previous.items : [], items)
+
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify(
+          {
+            version: metadataVersion,
+            repository: repository.fullName,
+            resource,
+            exportedAt,
+            since,
+            items: merged
+          },
+          null,
+          2
+        ) + '\n'
+      )
+
+      counts[resource] = merged.length
+    }
+
+    return counts
+  },
+  /**
+   * Get path of metadata directory of a repository
+   * @param {String} destination Backup destination path
+   * @param {String} fullName Repository full name (owner/name)
+   * @returns {String} Metadata directory path
+   */
+  path: function metadataPath(destination, fullName) {
+    return path.resolve(destination, fullName + '.metadata')
+  }
+}
+
+/**
+ * Read a previous export, ignoring exports written by another metadata version
+ * @param {String} file Export file path
+ * @returns {Object?} Previous export, null if there is none
+ */
+const readExport = async function(file) {
+  try {
+    const previous = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+
+    if (previous.version !== metadataVersion) {
+      debug(`${file} was written by metadata version ${previous.version}, export everything again`)
+
+      return null
+    }
+
+    return previous
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Merge updated items into previously exported ones, by id
+ * @param {Array<Object<id: Number>>} previous Previously exported items
+ * @param {Array<Object<id: Number>>} updated Updated items
+ * @returns {Array<Object<id: Number>>} Merged items, sorted by id
+ */
+const mergeItems = function(previous, updated) {
+  const items = new Map(previous.map((item) => [item.id, item]))
+
+  for (const item of updated) {
+    items.set(item.id, item)
+  }
+
+  return Array.from(items.values()).sort((a, b) => a.id - b.id)
+}
+
+module.exports = Metadata
@@ -0,0 +1,97 @@
+const fs = require('fs')
+const path = require('path')
+
+const Package = require('./package')
+
+// Backup file name patterns by format, packages may be encrypted.
+// Wikis are backup next to their repository with the same format
+const patterns = {
+  mirror: /^(.+)\.git$/,
+  bundle: /^(.+)\.bundle(\.enc)?$/,
+  'tar.gz': /^(.+)\.git\.tar\.gz(\.enc)?$/
+}
+
+// Additional sources are mirrored in their own subfolder of destination (`<destination>/<kind>/<owner>/<repo>.git`)
+const kinds = ['gists', 'starred']
+
+const Mirrors = {
+  /**
+   * List mirror repositories stored in a backup destination (`<destination>/<owner>/<repo>.git`, and
+   * `<destination>/<kind>/<owner>/<repo>.git` for additional sources), packaged or not
+   * @param {String} destination Backup destination path
+   * @returns {Array<Object<kind: String, fullName: String, owner: String, name: String, path: String, format: String, encrypted: Boolean, file: String>>}
+   * List of mirrors. Kind is repositories, gists or starred. Path is mirror path, file is package file path (mirror path for mirror format)
+   */
+  list: async function listMirrors(destination) {
+    let mirrors = await listKind(destination, 'repositories')
+
+    for (const kind of kinds) {
+      mirrors = mirrors.concat(await listKind(path.join(destination, kind), kind))
+    }
+
+    // Unpacked mirror is more recent than its package (eg. failed packaging)
+    return mirrors.filter(
+      (mirror) =>
+        mirror.format === 'mirror' || !mirrors.some((other) => other.format === 'mirror' && other.path === mirror.path)
+    )
+  },
+  /**
+   * Get name of a mirror, prefixed by its kind for additional sources (eg. `gists/<owner>/<id>`)
+   * @param {Object<kind: String?, fullName: String>} mirror Mirror or backup manifest entry
+   * @returns {String} Mirror name
+   */
+  label: function mirrorLabel({ kind = 'repositories', fullName }) {
+    return kind === 'repositories' ? fullName : `${kind}/${fullName}`
+  }
+}
+
+/**
+ * List mirror repositories of one kind, stored as `<owner>/<repo>.git` in a folder
+ * @param {String} folder Mirrors folder
+ * @param {String} kind Mirrors kind
+ * @returns {Array<Object>} List of mirrors, see `Mirrors.list`
+ */
+const listKind = async function(folder, kind) {
+  const mirrors = []
+  let owners = []
+
+  try {
+    owners = await fs.promises.readdir(folder, { withFileTypes: true })
+  } catch (err) {
+    return mirrors
+  }
+
+  for (const owner of owners) {
+    // Additional sources subfolders are not owners
+    if (!owner.isDirectory() || (kind === 'repositories' && kinds.indexOf(owner.name) !== -1)) continue
+
+    const repos = await fs.promises.readdir(path.join(folder, owner.name), { withFileTypes: true })
+
+    for (const repo of repos) {
+      const format = Object.keys(patterns).find((format) => patterns[format].test(repo.name))
+
+      if (!format || repo.isDirectory() !== (format === 'mirror')) continue
+
+      const [, name, encrypted] = repo.name.match(patterns[format])
+
+      if (/\.wiki$/.test(name)) continue
+
+      const mirror = path.join(folder, owner.name, name + '.git')
+
+      mirrors.push({
+        kind,
+        fullName: `${owner.name}/${name}`,
+        owner: owner.name,
+        name,
+        path: mirror,
+        format,
+        encrypted: Boolean(encrypted),
+        file: Package.files(mirror, format, Boolean(encrypted)).main
+      })
+    }
+  }
+
+  return mirrors
+}
+
+module.exports = Mirrors
@@ -0,0 +1,152 @@
+const { flags } = require('@oclif/command')
+const Spinnies = require('spinnies')
+
+// Output modes: animated spinners for terminals, one line per step for logs, one JSON event per line for tools
+const modes = ['spinners', 'plain', 'json']
+
+const Output = {
+  modes,
+  /**
+   * Output flags
+   */
+  flags: {
+    output: flags.string({
+      description:
+        'output mode: spinners, plain lines (default when stdout is not a terminal) or JSON events, one per line',
+      options: modes
+    })
+  },
+  /**
+   * Get output mode, defaults to spinners in terminals and plain lines otherwise
+   * @param {String?} output Output flag value
+   * @returns {String} Output mode
+   */
+  mode: function outputMode(output) {
+    return output || (process.stdout.isTTY ? 'spinners' : 'plain')
+  },
+  /**
+   * Create a reporter of a command steps. Each step is started, updated and either succeeds or fails:
+   * - spinners mode draws a spinner by step
+   * - plain mode writes a line when a step starts, succeeds or fails (updates are left out)
+   * - json mode writes given events, with their time and steps duration in milliseconds
+   * Quiet mode disables spinners and plain lines, but not JSON events
+   * @param {Object} options
+   * @param {String} options.mode Output mode, see `Output.mode`
+   * @param {Boolean} options.quiet Whether logging is disabled
+   * @param {Function} options.log Called with each line to write
+   * @returns {Object} Reporter
+   */
+  reporter: function createReporter({ mode, quiet, log }) {
+    const spinnies = mode === 'spinners' && !quiet ? new Spinnies() : null
+    const steps = {}
+
+    const emit = (event, data = {}) => {
+      if (mode === 'json' && event) {
+        log(JSON.stringify(Object.assign({ event, time: new Date().toISOString() }, data)))
+      }
+    }
+    const write = (line) => {
+      if (mode === 'plain' && !quiet) {
+        log(line)
+      }
+    }
+    const end = (id, text, status) => {
+      const step = steps[id] || { text: id, start: Date.now() }
+      const duration = Date.now() - step.start
+
+      delete steps[id]
+
+      write(`${status === 'succeed' ? '✓' : '✖'} ${text || step.text} (${(duration / 1000).toFixed(1)}s)`)
+
+      if (spinnies) {
+        spinnies[status](id, text ? { text } : {})
+      }
+
+      return duration
+    }
+
+    return {
+      /**
+       * Start a step
+       * @param {String} id Step identifier
+       * @param {String} text Step description
+       * @param {String?} event JSON event name
+       * @param {Object?} data JSON event data
+       */
+      start: function startStep(id, text, event, data) {
+        steps[id] = { text, start: Date.now() }
+
+        write(text)
+        emit(event, data)
+
+        if (spinnies) {
+          spinnies.add(id, { text })
+        }
+      },
+      /**
+       * Update description of a started step
+       * @param {String} id Step identifier
+       * @param {String} text Step description
+       */
+      update: function updateStep(id, text) {
+        if (steps[id]) {
+          steps[id].text = text
+        }
+
+        if (spinnies) {
+          spinnies.update(id, { text })
+        }
+      },
+      /**
+       * End a step successfully
+       * @param {String} id Step identifier
+       * @param {String?} text Step description. Defaults to last one
+       * @param {String?} event JSON event name
+       * @param {Object?} data JSON event data
+       */
+      succeed: function succeedStep(id, text, event, data) {
+        emit(event, Object.assign({}, data, { duration: end(id, text, 'succeed') }))
+      },
+      /**
+       * End a step with a failure
+       * @param {String} id Step identifier
+       * @param {String?} text Step description. Defaults to last one
+       * @param {String?} event JSON event name
+       * @param {Object?} data JSON event data
+       */
+      fail: function failStep(id, text, event, data) {
+        emit(event, Object.assign({}, data, { duration: end(id, text, 'fail') }))
+      },
+      /**
+       * Remove an ended step from spinners
+       * @param {String} id Step identifier
+       */
+      remove: function removeStep(id) {
+        if (spinnies) {
+          spinnies.remove(id)
+        }
+      },
+      /**
+       * Log a message, or write its JSON event
+       * @param {String} text Message
+       * @param {String?} event JSON event name
+       * @param {Object?} data JSON event data
+       */
+      log: function logMessage(text, event, data) {
+        if (mode === 'json') {
+          emit(event, data)
+        } else if (!quiet) {
+          log(text)
+        }
+      },
+      /**
+       * Write a JSON event
+       * @param {String} event JSON event name
+       * @param {Object?} data JSON event data
+       */
+      event: emit
+    }
+  }
+}
+
+module.exports = Output
@@ -0,0 +1,275 @@
+const crypto = require('crypto')
+const _debug = require('debug')
+const execa = require('execa')
+const fs = require('fs')
+const path = require('path')
+
+const Encryption = require('./encryption')
+const Git = require('./git')
+
+const debug = _debug('package')
+// Formats packaging a mirror into files
+const packageFormats = ['bundle', 'tar.gz']
+
+const Package = {
+  /**
+   * Backup formats: bare mirror directory, git bundle file or compressed archive of mirror
+   */
+  formats: ['mirror'].concat(packageFormats),
+  /**
+   * Get paths of package files of a mirror
+   * @param {String} mirror Mirror path (`<owner>/<repo>.git`)
+   * @param {String} format Package format, one of `Package.formats`
+   * @param {Boolean?} encrypted Whether package files are encrypted (`<file>.enc`)
+   * @returns {Object<main: String, lfs: String?>} Package file path (mirror path itself for mirror format),
+   * and LFS objects archive path for bundles
+   */
+  files: function packageFiles(mirror, format, encrypted) {
+    const base = mirror.replace(/\.git$/, '')
+    const suffix = encrypted ? Encryption.extension : ''
+
+    if (format === 'bundle') {
+      return { main: base + '.bundle' + suffix, lfs: base + '.lfs.tar.gz' + suffix }
+    }
+
+    if (format === 'tar.gz') {
+      return { main: mirror + '.tar.gz' + suffix }
+    }
+
+    return { main: mirror }
+  },
+  /**
+   * Find format of an existing package of a mirror
+   * @param {String} mirror Mirror path
+   * @returns {Object<format: String, encrypted: Boolean>?} Package format and whether it is encrypted,
+   * null if mirror was not packaged
+   */
+  find: async function findPackage(mirror) {
+    for (const format of packageFormats) {
+      for (const encrypted of [false, true]) {
+        if (await exists(Package.files(mirror, format, encrypted).main)) {
+          return { format, encrypted }
+        }
+      }
+    }
+
+    return null
+  },
+  /**
+   * Remove package files of a mirror, whatever their format
+   * @param {String} mirror Mirror path
+   * @returns {void}
+   */
+  remove: async function removePackage(mirror) {
+    for (const format of packageFormats) {
+      for (const encrypted of [false, true]) {
+        const files = Package.files(mirror, format, encrypted)
+
+        for (const file of [files.main, files.lfs].filter(Boolean)) {
+          for (const name of [file, file + '.sha256']) {
+            if (await exists(name)) {
+              await fs.promises.unlink(name)
+            }
+          }
+        }
+      }
+    }
+  },
+  /**
+   * Package a mirror and remove it, optionally encrypting package files. Each package file gets a checksum file
+   * next to it (`<file>.sha256`, readable by `sha256sum --check`)
+   * @param {Object} data
+   * @param {String} data.path Mirror path
+   * @param {String} data.format Package format, bundle or tar.gz
+   * @param {Object?} data.keys Encryption keys, see `Encryption.keys`. Package is not encrypted without them
+   * @returns {Object<format: String, encrypted: Boolean, files: Array<Object<path: String, size: Number, sha256: String>>>}
+   * Package details. Empty mirrors cannot be bundled, they are packaged as tar.gz instead
+   * @throws {Error} `execa` error or file system error
+   */
+  pack: async function packMirror({ path: mirror, format, keys }) {
+    if (format === 'bundle' && !Object.keys(await Git.heads({ path: mirror })).length) {
+      debug(`${mirror} has no branches, package it as tar.gz`)
+
+      format = 'tar.gz'
+    }
+
+    const files = Package.files(mirror, format)
+    const written = []
+
+    await Package.remove(mirror)
+
+    if (format === 'bundle') {
+      await Git.bundle({ path: mirror, file: files.main })
+
+      written.push(files.main)
+
+      if (await exists(path.join(mirror, 'lfs'))) {
+        await tar(['-czf', files.lfs, '-C', mirror, 'lfs'])
+
+        written.push(files.lfs)
+      }
+    } else {
+      await tar(['-czf', files.main, '-C', path.dirname(mirror), path.basename(mirror)])
+
+      written.push(files.main)
+    }
+
+    const encrypted = Encryption.canEncrypt(keys)
+    const details = []
+
+    for (let file of written) {
+      if (encrypted) {
+        file = await Encryption.encrypt(file, keys)
+      }
+
+      const sha256 = await Package.checksum(file)
+
+      await fs.promises.writeFile(file + '.sha256', `${sha256}  ${path.basename(file)}\n`)
+
+      details.push({ path: file, size: (await fs.promises.stat(file)).size, sha256 })
+    }
+
+    await Package.removeDirectory(mirror)
+
+    return { format, encrypted, files: details }
+  },
+  /**
+   * Unpack a packaged mirror, after checking its checksums. Package files are left untouched
+   * @param {Object} data
+   * @param {String} data.path Mirror path
+   * @param {String} data.format Package format, bundle or tar.gz
+   * @param {Boolean?} data.encrypted Whether package files are encrypted
+   * @param {Object?} data.keys Decryption keys of encrypted packages, see `Encryption.keys`
+   * @param {String?} data.to Path to unpack mirror to. Defaults to mirror path
+   * @returns {void}
+   * @throws {Error} Checksum mismatch, decryption error, `execa` error or file system error
+   */
+  unpack: async function unpackMirror({ path: mirror, format, encrypted, keys, to = mirror }) {
+    await Package.verify({ path: mirror, format, encrypted })
+
+    let files = Package.files(mirror, format, encrypted)
+    let decrypted = null
+
+    if (encrypted && !Encryption.canDecrypt(keys)) {
+      throw new Error(`${files.main} is encrypted, give a passphrase or a private key to decrypt it`)
+    }
+
+    try {
+      // Encrypted files are decrypted next to unpacked mirror, then removed
+      if (encrypted) {
+        decrypted = await fs.promises.mkdtemp(path.join(path.dirname(to), '.gbulk-'))
+
+        const clear = Package.files(path.join(decrypted, path.basename(mirror)), format)
+
+        await Encryption.decrypt(files.main, clear.main, keys)
+
+        if (files.lfs && (await exists(files.lfs))) {
+          await Encryption.decrypt(files.lfs, clear.lfs, keys)
+        }
+
+        files = clear
+      }
+
+      if (format === 'bundle') {
+        await Git.clone({ path: to, url: files.main })
+
+        if (await exists(files.lfs)) {
+          await tar(['-xzf', files.lfs, '-C', to])
+        }
+      } else {
+        await fs.promises.mkdir(to, { recursive: true })
+        // Archive holds mirror directory itself
+        await tar(['-xzf', files.main, '-C', to, '--strip-components=1'])
+      }
+    } finally {
+      if (decrypted) {
+        await Package.removeDirectory(decrypted)
+      }
+    }
+  },
+  /**
+   * Check package files of a mirror against their checksum files
+   * @param {Object} data
+   * @param {String} data.path Mirror path
+   * @param {String} data.format Package format, bundle or tar.gz
+   * @param {Boolean?} data.encrypted Whether package files are encrypted. Checksums are those of encrypted files
+   * @returns {Array<String>} Checked files
+   * @throws {Error} Missing file or checksum mismatch
+   */
+  verify: async function verifyPackage({ path: mirror, format, encrypted }) {
+    const files = Package.files(mirror, format, encrypted)
+    const checked = [files.main]
+
+    // LFS objects archive only exists for repositories using LFS
+    if (files.lfs && (await exists(files.lfs))) {
+      checked.push(files.lfs)
+    }
+
+    for (const file of checked) {
+      let expected
+
+      try {
+        expected = (await fs.promises.readFile(file + '.sha256', 'utf8')).split(/\s+/)[0]
+      } catch (err) {
+        throw new Error(`Cannot read checksum of ${file}`)
+      }
+
+      if ((await Package.checksum(file)) !== expected) {
+        throw new Error(`Checksum mismatch for ${file}`)
+      }
+    }
+
+    return checked
+  },
+  /**
+   * Remove a directory and its content, if it exists
+   * @param {String} directory Directory path
+   * @returns {void}
+   */
+  removeDirectory: async function removeDirectory(directory) {
+    // fs.rm is not available in older Node.js versions, where fs.rmdir is not deprecated yet
+    await (fs.promises.rm || fs.promises.rmdir)(directory, { recursive: true, force: true })
+  },
+  /**
+   * Compute SHA-256 checksum of a file
+   * @param {String} file File path
+   * @returns {String} Hex checksum
+   */
+  checksum: function checksum(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256')
+
+      fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+    })
+  }
+}
+
+/**
+ * Check if a path exists
+ * @param {String} file Path to check
+ * @returns {Boolean}
+ */
+const exists = async function(file) {
+  try {
+    await fs.promises.access(file)
+
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Run tar
+ * @param {Array<String>} args tar arguments
+ * @returns {void}
+ * @throws {Error} `execa` error
+ */
+const tar = async function(args) {
+  await execa('tar', args)
+}
+
+module.exports = Package
@@ -0,0 +1,210 @@
+const Ajv = require('ajv')
+const fs = require('fs')
+const yaml = require('js-yaml')
+const path = require('path')
+
+const Plan = {
+  /**
+   * Read a plan file, written in YAML or JSON
+   * @param {String} file Plan file path
+   * @returns {Object} Plan
+   * @throws {Error} Unreadable file or syntax error
+   */
+  read: async function readPlan(file) {
+    let content
+
+    try {
+      content = await fs.promises.readFile(file, 'utf8')
+    } catch (err) {
+      throw new Error(`Cannot read plan ${file}`)
+    }
+
+    try {
+      return /\.json$/i.test(file) ? JSON.parse(content) : yaml.safeLoad(content, { filename: file })
+    } catch (err) {
+      throw new Error(`Invalid plan ${file}: ${err.message}`)
+    }
+  },
+  /**
+   * Build JSON schema of plans from command flags. A plan has jobs, each with a source, a destination,
+   * a profile, filters and options named after command flags. Defaults apply to all jobs
+   * @param {Object} definitions Command flags definitions
+   * @param {Array<String>} filters Names of flags that are filters, other flags are options
+   * @param {Array<String>} excluded Names of flags that cannot be used in plans
+   * @returns {Object} JSON schema
+   */
+  schema: function planSchema(definitions, filters, excluded) {
+    const groups = { filters: {}, options: {} }
+
+    for (const name of Object.keys(definitions)) {
+      if (excluded.indexOf(name) !== -1) continue
+
+      groups[filters.indexOf(name) !== -1 ? 'filters' : 'options'][name] = flagSchema(definitions[name])
+    }
+
+    const settings = {
+      profile: { type: 'string', minLength: 1, description: 'login profile to use' },
+      filters: { type: 'object', properties: groups.filters, additionalProperties: false },
+      options: { type: 'object', properties: groups.options, additionalProperties: false }
+    }
+
+    return {
+      type: 'object',
+      required: ['jobs'],
+      additionalProperties: false,
+      properties: {
+        defaults: {
+          type: 'object',
+          properties: settings,
+          additionalProperties: false
+        },
+        jobs: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['destination'],
+            additionalProperties: false,
+            properties: Object.assign(
+              {
+                name: { type: 'string', minLength: 1, description: 'job name (defaults to source)' },
+                source: { type: 'string', minLength: 1, description: 'user or organization to backup from' },
+                destination: { type: 'string', minLength: 1, description: 'backup destination path' }
+              },
+              settings
+            )
+          }
+        }
+      }
+    }
+  },
+  /**
+   * Validate a plan and resolve flags of its jobs. Flags given on command line override plan values,
+   * which override flags defaults. Relative paths are relative to plan file
+   * @param {Object} plan Plan, see `Plan.read`
+   * @param {Object} options
+   * @param {String} options.file Plan file path
+   * @param {Object} options.schema Plan JSON schema, see `Plan.schema`
+   * @param {Object} options.flags Command flags values
+   * @param {Array<String>} options.explicit Names of flags given on command line
+   * @param {Array<String>} options.paths Names of flags whose values are paths
+   * @returns {Array<Object<name: String, args: Object<from: String?, destination: String>, flags: Object>>} Jobs
+   * @throws {Error} Plan does not match schema, with all problems found
+   */
+  jobs: function planJobs(plan, { file, schema, flags, explicit, paths }) {
+    const ajv = new Ajv({ allErrors: true, verbose: true })
+    const problems = ajv.validate(schema, plan) ? [] : ajv.errors.map(describe)
+    const names = []
+
+    if (!problems.length) {
+      plan.jobs.forEach((job, index) => {
+        const name = job.name || job.source || `jobs[${index}]`
+
+        if (names.indexOf(name) !== -1) {
+          problems.push(`jobs[${index}] has the same name as another job (${name}), give it a unique name`)
+        }
+
+        names.push(name)
+      })
+    }
+
+    if (problems.length) {
+      throw new Error(`Invalid plan ${file}:\n${problems.map((problem) => `- ${problem}`).join('\n')}`)
+    }
+
+    const directory = path.dirname(path.resolve(file))
+    const defaults = plan.defaults || {}
+
+    const resolve = (value) => path.resolve(directory, value)
+
+    return plan.jobs.map((job, index) => {
+      const values = Object.assign({}, flags)
+
+      for (const group of ['filters', 'options']) {
+        const properties = schema.properties.defaults.properties[group].properties
+
+        for (const name of Object.keys(properties)) {
+          const settings = [job, defaults].find((settings) => settings[group] && settings[group][name] !== undefined)
+
+          if (!settings || explicit.indexOf(name) !== -1) continue
+
+          let value = settings[group][name]
+
+          // Values are given to command the way it parses them
+          if (properties[name].items) {
+            value = [].concat(value)
+          } else if (typeof value === 'number') {
+            value = String(value)
+          }
+
+          if (paths.indexOf(name) !== -1) {
+            value = Array.isArray(value) ? value.map(resolve) : resolve(value)
+          }
+
+          values[name] = value
+        }
+      }
+
+      if (explicit.indexOf('profile') === -1) {
+        values.profile = job.profile || defaults.profile || flags.profile
+      }
+
+      return {
+        name: names[index],
+        args: { from: job.source, destination: resolve(job.destination) },
+        flags: values
+      }
+    })
+  }
+}
+
+/**
+ * Build JSON schema of a flag value
+ * @param {Object} definition Flag definition
+ * @returns {Object} JSON schema
+ */
+const flagSchema = function(definition) {
+  const schema = { description: definition.description }
+
+  if (definition.type === 'boolean') {
+    schema.type = 'boolean'
+  } else if (definition.options) {
+    schema.enum = definition.options
+  } else if (definition.multiple) {
+    // A single value is accepted as a list of one value
+    schema.type = ['array', 'string']
+    schema.items = { type: 'string' }
+  } else {
+    schema.type = ['string', 'number']
+  }
+
+  return schema
+}
+
+/**
+ * Describe a schema validation error
+ * @param {Object} error Ajv error
+ * @returns {String} Error description
+ */
+const describe = function(error) {
+  const location = error.dataPath.replace(/^\./, '') || 'plan'
+
+  if (error.keyword === 'additionalProperties') {
+    const property = error.params.additionalProperty
+    const known = Object.keys(error.parentSchema.properties || {})
+    // Flags are written in kebab case (eg. cleanRefs or clean_refs instead of clean-refs)
+    const suggestion = property.replace(/[A-Z]/g, (letter) => '-' + letter.toLowerCase()).replace(/_/g, '-')
+
+    return `${location} has unknown property ${property}${
+      known.indexOf(suggestion) !== -1 ? `, did you mean ${suggestion}?` : `, expected one of ${known.join(', ')}`
+    }`
+  }
+
+  if (error.keyword === 'enum') {
+    return `${location} should be one of ${error.params.allowedValues.join(', ')}`
+  }
+
+  return `${location} ${error.message}`
+}
+
+module.exports = Plan
@@ -0,0 +1,169 @@
+const Promise = require('aigle')
+const crypto = require('crypto')
+const _debug = require('debug')
+const fs = require('fs')
+const path = require('path')
+
+const GithubAPI = require('./github-api')
+const Package = require('./package')
+
+const debug = _debug('releases')
+const indexVersion = 1
+
+const Releases = {
+  /**
+   * Download assets of all releases of a repository next to its mirror (`<destination>/<owner>/<repo>.releases/<tag>/`).
+   * Assets already downloaded are skipped when their size and checksum match
+   * @param {Object} data
+   * @param {Object<token: String, api: String?>} data.auth Authentication details, see `Auth.get`
+   * @param {Object} data.repository Repository to download release assets of
+   * @param {String} data.destination Backup destination path
+   * @param {Number} data.parallel Maximum number of assets downloaded in parallel
+   * @returns {Object<downloaded: Number, skipped: Number>} Number of downloaded and skipped assets
+   * @throws {Error|String} Github API error message, axios error or file system error
+   */
+  download: async function downloadReleases({ auth, repository, destination, parallel }) {
+    const directory = Releases.path(destination, repository.fullName)
+    const indexPath = path.join(directory, 'assets.json')
+    const index = await readIndex(indexPath)
+    const releases = await GithubAPI.get.resource({ auth, fullName: repository.fullName, resource: 'releases' })
+    const assets = releases.reduce((acc, release) => {
+      for (const asset of release.assets) {
+        acc.push({
+          key: `${safeName(release.tag_name)}/${asset.name}`,
+          url: asset.url,
+          id: asset.id,
+          size: asset.size,
+          updatedAt: asset.updated_at
+        })
+      }
+
+      return acc
+    }, [])
+    const counts = { downloaded: 0, skipped: 0 }
+
+    debug(`found ${assets.length} assets in ${releases.length} releases of ${repository.fullName}`)
+
+    try {
+      await Promise.mapLimit(assets, parallel, async (asset) => {
+        const file = path.join(directory, asset.key)
+
+        if (await isDownloaded(file, asset, index.assets[asset.key])) {
+          debug(`${repository.fullName} ${asset.key} already downloaded`)
+
+          counts.skipped++
+
+          return
+        }
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true })
+
+        index.assets[asset.key] = {
+          id: asset.id,
+          size: asset.size,
+          updatedAt: asset.updatedAt,
+          sha256: await downloadAsset(auth, asset.url, file)
+        }
+
+        counts.downloaded++
+      })
+    } finally {
+      // Keep checksums of assets downloaded before a failure
+      await fs.promises.mkdir(directory, { recursive: true })
+      await fs.promises.writeFile(indexPath, JSON.stringify(index, null, 2) + '\n')
+    }
+
+    return counts
+  },
+  /**
+   * Get path of release assets directory of a repository
+   * @param {String} destination Backup destination path
+   * @param {String} fullName Repository full name (owner/name)
+   * @returns {String} Release assets directory path
+   */
+  path: function releasesPath(destination, fullName) {
+    return path.resolve(destination, fullName + '.releases')
+  }
+}
+
+/**
+ * Make a tag name usable as a directory name
+ * @param {String} tag Tag name
+ * @returns {String} Directory name
+ */
+const safeName = function(tag) {
+  return tag.replace(/[\\/:*?"<>|]/g, '_').replace(/^\.+$/, '_')
+}
+
+/**
+ * Read index of downloaded assets checksums
+ * @param {String} indexPath Index file path
+ * @returns {Object<version: Number, assets: Object>} Index
+ */
+const readIndex = async function(indexPath) {
+  try {
+    const index = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'))
+
+    if (index.version === indexVersion) {
+      return index
+    }
+  } catch (err) {
+    debug(`no assets index in ${indexPath}`)
+  }
+
+  return { version: indexVersion, assets: {} }
+}
+
+/**
+ * Check if an asset was already downloaded: same asset, same size and same checksum as when downloaded
+ * @param {String} file Asset file path
+ * @param {Object} asset Asset details
+ * @param {Object?} downloaded Asset details recorded on download
+ * @returns {Boolean}
+ */
+const isDownloaded = async function(file, asset, downloaded) {
+  if (!downloaded || downloaded.id !== asset.id || downloaded.updatedAt !== asset.updatedAt) {
+    return false
+  }
+
+  try {
+    const stats = await fs.promises.stat(file)
+
+    return (
+      stats.size === asset.size &&
+      downloaded.size === asset.size &&
+      (await Package.checksum(file)) === downloaded.sha256
+    )
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Download an asset to a file, through a temporary file to never leave a partial asset behind
+ * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+ * @param {String} url Asset API url
+ * @param {String} file Asset file path
+ * @returns {String} Hex SHA-256 checksum of downloaded asset
+ * @throws {Error|String} Github API error message, axios error or file system error
+ */
+const downloadAsset = async function(auth, url, file) {
+  const stream = await GithubAPI.get.asset(auth, url)
+  const hash = crypto.createHash('sha256')
+  const partial = file + '.part'
+
+  await new Promise((resolve, reject) => {
+    stream
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .pipe(fs.createWriteStream(partial))
+      .on('error', reject)
+      .on('finish', resolve)
+  })
+
+  await fs.promises.rename(partial, file)
+
+  return hash.digest('hex')
+}
+
+module.exports = Releases
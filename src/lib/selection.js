@@ -0,0 +1,490 @@
+const { flags } = require('@oclif/command')
+const _debug = require('debug')
+const inquirer = require('inquirer')
+
+const GithubAPI = require('./github-api')
+
+const createDebugger = (reporter) => _debug(`selection${reporter ? ':' + reporter : ''}`)
+
+const Selection = {
+  /**
+   * Flags shared by commands working on a selection of repositories
+   */
+  flags: {
+    public: flags.boolean({
+      description: 'include/exclude public repositories'
+    }),
+    private: flags.boolean({
+      description: 'include/exclude private repositories'
+    }),
+    owner: flags.boolean({
+      description: 'include/exclude owned repositories',
+      allowNo: true
+    }),
+    collaborator: flags.boolean({
+      description: 'include/exclude repositories where user is collaborator',
+      allowNo: true
+    }),
+    member: flags.boolean({
+      description: 'include/exclude repositories where user is member',
+      allowNo: true
+    }),
+    exclude: flags.string({
+      char: 'x',
+      description:
+        'exclude repositories whose name is matching specified string or regex pattern (omitting start and end delimiters)',
+      multiple: true
+    }),
+    match: flags.string({
+      char: 'm',
+      description:
+        'include only repositories whose name is matching specified string or regex pattern (omitting start and end delimiters)',
+      multiple: true
+    }),
+    forks: flags.boolean({
+      description: 'include only/exclude forked repositories',
+      allowNo: true
+    }),
+    archived: flags.boolean({
+      description: 'include only/exclude archived repositories',
+      allowNo: true
+    }),
+    language: flags.string({
+      description: 'include only repositories whose main language is one of specified languages',
+      multiple: true
+    }),
+    topic: flags.string({
+      description: 'include only repositories tagged with one of specified topics',
+      multiple: true
+    }),
+    'pushed-since': flags.string({
+      description: 'include only repositories pushed since specified date (eg. 2019-01-31)'
+    }),
+    'pushed-before': flags.string({
+      description: 'include only repositories not pushed since specified date (eg. 2019-01-31)'
+    }),
+    'max-size': flags.string({
+      description:
+        'include only repositories whose size (as reported by Github) is at most specified number of megabytes'
+    })
+  },
+  /**
+   * Parse value of a parallel flag
+   * @param {String} value Flag value
+   * @param {Number} defaultCount Count used when value is invalid
+   * @param {String} [flag='parallel'] Flag name
+   * @returns {Number} Maximum count of parallel jobs
+   */
+  parallel: function parallelCount(value, defaultCount, flag = 'parallel') {
+    const debug = createDebugger('parallel')
+    const count = +value
+
+    if (isNaN(count)) {
+      debug(`${flag} flag value is invalid, using default value (${defaultCount})`)
+
+      return defaultCount
+    }
+
+    return count
+  },
+  /**
+   * Check values of repository filters flags
+   * @param {Object} flags Parsed command flags
+   * @throws {Error} Invalid flag value
+   * @returns {void}
+   */
+  check: function checkFlags(flags) {
+    for (const flag of ['pushed-since', 'pushed-before']) {
+      if (flags[flag] && isNaN(new Date(flags[flag]).getTime())) {
+        throw new Error(`Invalid date ${flags[flag]} for --${flag}`)
+      }
+    }
+
+    if (flags['max-size'] && !(+flags['max-size'] >= 0)) {
+      throw new Error(`Invalid size ${flags['max-size']} for --max-size`)
+    }
+  },
+  /**
+   * Compute Github API options from visibility and affiliation flags
+   * @param {Object} flags Parsed command flags
+   * @returns {Object<affiliation: Array[String], type: String>} API options
+   */
+  options: function selectionOptions(flags) {
+    const affiliationFlags = ['owner', 'collaborator', 'member']
+    const affiliation = []
+
+    // Handle affiliation flags enabling
+    affiliationFlags.forEach((flag) => {
+      if (flags[flag]) affiliation.push(flag)
+    })
+
+    // If no affiliation flag explicitly enabled
+    if (!affiliation.length) {
+      // Enable all affiliation flags not explicitly disabled
+      affiliationFlags.forEach((flag) => {
+        if (flags[flag] !== false) affiliation.push(flag)
+      })
+    }
+
+    return {
+      affiliation,
+      type: flags.public && !flags.private ? 'public' : flags.private && !flags.public ? 'private' : 'all'
+    }
+  },
+  /**
+   * Fetch repositories of a source account
+   * @param {Object} data
+   * @param {Object<token: String, user: String, api: String?>} data.auth Authentication details
+   * @param {String} data.from Account to get list of repositories from
+   * @param {Object<affiliation: Array[String], type: String>} data.options API options, see `Selection.options`
+   * @throws {Error|String} Github API error message or axios error
+   * @returns {Array} List of repositories
+   */
+  fetch: async function fetchRepositories({ auth, from, options }) {
+    const debug = createDebugger('fetch')
+
+    // If `from` equals authenticated user, use it as source (not as another user)
+    if (from === auth.user) {
+      from = undefined
+    }
+
+    if (from) {
+      debug('select', from, 'repositories')
+    } else {
+      debug('select authenticated user repositories')
+    }
+
+    debug('select', options.type, 'repositories where user is', options.affiliation.join(','))
+
+    return GithubAPI.get.repositories({
+      auth,
+      from,
+      options
+    })
+  },
+  /**
+   * Filter repositories following exclude and match patterns on their name, and their details
+   * @param {Array<Object<name: String>>} repositories List of repositories
+   * @param {Object} filters Parsed command flags, see `Selection.check` for their validation
+   * @param {Array<String>?} filters.exclude Exclude repositories whose name is matching one of these patterns
+   * @param {Array<String>?} filters.match Include only repositories whose name is matching all these patterns
+   * @param {Boolean?} filters.forks Include only forks if true, exclude them if false
+   * @param {Boolean?} filters.archived Include only archived repositories if true, exclude them if false
+   * @param {Array<String>?} filters.language Include only repositories whose main language is one of these
+   * @param {Array<String>?} filters.topic Include only repositories tagged with one of these topics
+   * @param {String?} filters.pushed-since Include only repositories pushed since this date
+   * @param {String?} filters.pushed-before Include only repositories not pushed since this date
+   * @param {String?} filters.max-size Include only repositories whose size is at most this number of megabytes
+   * @returns {Array<Object>} Filtered list of repositories
+   */
+  filter: function filterRepositories(repositories, filters) {
+    const { exclude, match, forks, archived, language, topic } = filters
+    const debug = createDebugger('filter')
+
+    if (exclude) {
+      debug('filter repos following exclude flag')
+
+      const excluded = []
+
+      repositories = repositories.filter((repo) => {
+        return exclude.reduce((acc, pattern) => {
+          // If not yet excluded, test exclude rule
+          if (acc) {
+            const keep = !new RegExp(pattern).test(repo.name)
+
+            if (!keep) {
+              excluded.push(repo.name)
+            }
+
+            return keep
+          }
+
+          return acc
+        }, true)
+      })
+
+      debug(`excluded ${excluded.length} repositories ${JSON.stringify(excluded)}`)
+    }
+
+    if (match) {
+      debug('filter repos following match flag')
+
+      const excluded = []
+
+      repositories = repositories.filter((repo) => {
+        return match.reduce((acc, pattern) => {
+          // If not yet excluded, test match rule
+          if (acc) {
+            const keep = new RegExp(pattern).test(repo.name)
+
+            if (!keep) {
+              excluded.push(repo.name)
+            }
+
+            return keep
+          }
+
+          return acc
+        }, true)
+      })
+
+      debug(`excluded ${excluded.length} repositories ${JSON.stringify(excluded)}`)
+    }
+
+    if (typeof forks === 'boolean') {
+      repositories = filterBy(repositories, 'forks', (repo) => Boolean(repo.fork) === forks, debug)
+    }
+
+    if (typeof archived === 'boolean') {
+      repositories = filterBy(repositories, 'archived', (repo) => Boolean(repo.archived) === archived, debug)
+    }
+
+    if (language && language.length) {
+      const languages = language.map((val) => val.toLowerCase())
+
+      repositories = filterBy(
+        repositories,
+        'language',
+        (repo) => Boolean(repo.language) && languages.indexOf(repo.language.toLowerCase()) !== -1,
+        debug
+      )
+    }
+
+    if (topic && topic.length) {
+      const topics = topic.map((val) => val.toLowerCase())
+
+      repositories = filterBy(
+        repositories,
+        'topic',
+        (repo) => (repo.topics || []).some((val) => topics.indexOf(val.toLowerCase()) !== -1),
+        debug
+      )
+    }
+
+    if (filters['pushed-since']) {
+      const date = new Date(filters['pushed-since'])
+
+      repositories = filterBy(
+        repositories,
+        'pushed-since',
+        (repo) => Boolean(repo.pushedAt) && new Date(repo.pushedAt) >= date,
+        debug
+      )
+    }
+
+    if (filters['pushed-before']) {
+      const date = new Date(filters['pushed-before'])
+
+      // Repositories never pushed to were not pushed since any date
+      repositories = filterBy(
+        repositories,
+        'pushed-before',
+        (repo) => !repo.pushedAt || new Date(repo.pushedAt) < date,
+        debug
+      )
+    }
+
+    if (filters['max-size']) {
+      // Github reports sizes in kilobytes
+      const maxSize = +filters['max-size'] * 1024
+
+      repositories = filterBy(repositories, 'max-size', (repo) => (repo.size || 0) <= maxSize, debug)
+    }
+
+    return repositories
+  },
+  prompt: {
+    /**
+     * Ask which visibility, affiliation and repository details filters to enable
+     * @param {Object} flags Parsed command flags, selected filters are enabled in place
+     * @param {Array<String>?} skip Repository state filters (forks, archived) not to ask for
+     * @returns {void}
+     */
+    filters: async function promptFilters(flags, skip = []) {
+      const states = ['forks', 'archived'].filter((state) => skip.indexOf(state) === -1)
+      const { filters } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'filters',
+          message: 'Select search filters',
+          choices: [
+            new inquirer.Separator('### Repository type ###'),
+            {
+              name: 'public',
+              checked: true
+            },
+            {
+              name: 'private',
+              checked: true
+            },
+            new inquirer.Separator('### Affiliation with repository ###'),
+            {
+              name: 'owner',
+              checked: true
+            },
+            {
+              name: 'collaborator',
+              checked: true
+            },
+            {
+              name: 'member',
+              checked: true
+            },
+            new inquirer.Separator('### Repository state ###')
+          ].concat(states.map((state) => ({ name: state, checked: true })))
+        }
+      ])
+
+      for (const filter of filters) {
+        if (states.indexOf(filter) === -1) {
+          flags[filter] = true
+        }
+      }
+
+      // Forks and archived repositories are included by default, unchecking them excludes them
+      for (const state of states) {
+        if (filters.indexOf(state) === -1) {
+          flags[state] = false
+        }
+      }
+
+      const list = (value) =>
+        value
+          .split(',')
+          .map((val) => val.trim())
+          .filter(Boolean)
+      const date = (value) => !value || !isNaN(new Date(value).getTime()) || 'Invalid date'
+      const details = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'language',
+          message: 'Include only repositories written in (comma separated languages, leave empty for any language)'
+        },
+        {
+          type: 'input',
+          name: 'topic',
+          message: 'Include only repositories tagged with (comma separated topics, leave empty for any topic)'
+        },
+        {
+          type: 'input',
+          name: 'pushed-since',
+          message: 'Include only repositories pushed since (eg. 2019-01-31, leave empty for any date)',
+          validate: date
+        },
+        {
+          type: 'input',
+          name: 'pushed-before',
+          message: 'Include only repositories not pushed since (eg. 2019-01-31, leave empty for any date)',
+          validate: date
+        },
+        {
+          type: 'input',
+          name: 'max-size',
+          message: 'Include only repositories smaller than (in megabytes, leave empty for any size)',
+          validate: (value) => !value || +value >= 0 || 'Invalid size'
+        }
+      ])
+
+      flags.language = list(details.language)
+      flags.topic = list(details.topic)
+
+      for (const filter of ['pushed-since', 'pushed-before', 'max-size']) {
+        flags[filter] = details[filter] || undefined
+      }
+    },
+    /**
+     * Ask which repositories to keep among a list of repositories
+     * @param {Array<Object>} repositories List of repositories
+     * @param {String} message Prompt message
+     * @returns {Array<Object>} Selected repositories
+     */
+    repositories: async function promptRepositories(repositories, message) {
+      const { repos: selectedRepos } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          message,
+          name: 'repos',
+          choices: repositories
+            .sort((a, b) => {
+              if (a.private && b.private) {
+                return 0
+              } else if (!a.private && b.private) {
+                return -1
+              }
+
+              return 1
+            })
+            .filter((repo) => !repo.private)
+            .reduce((acc, repo) => {
+              if (!acc.length) {
+                acc.push(new inquirer.Separator('### Public repositories ###'))
+              }
+
+              acc.push({
+                checked: true,
+                name: repo.fullName
+              })
+
+              return acc
+            }, [])
+            .concat(
+              repositories
+                .filter((repo) => repo.private)
+                .reduce((acc, repo) => {
+                  if (!acc.length) {
+                    acc.push(new inquirer.Separator('### Private repositories ###'))
+                  }
+
+                  acc.push({
+                    checked: true,
+                    name: repo.fullName
+                  })
+
+                  return acc
+                }, [])
+            ),
+          validate: function(selectedRepos) {
+            if (selectedRepos.length < 1) {
+              return 'You must choose at least one repository.'
+            }
+
+            return true
+          }
+        }
+      ])
+
+      return repositories.filter((repository) => {
+        return selectedRepos.find((selectedRepo) => repository.fullName === selectedRepo)
+      })
+    }
+  }
+}
+
+/**
+ * Keep repositories matching a filter
+ * @param {Array<Object>} repositories List of repositories
+ * @param {String} filter Filter name
+ * @param {Function} predicate Called with each repository, keep it if it returns true
+ * @param {Function} debug Debugging function
+ * @returns {Array<Object>} Filtered list of repositories
+ */
+const filterBy = function(repositories, filter, predicate, debug) {
+  debug(`filter repos following ${filter} flag`)
+
+  const excluded = []
+  const kept = repositories.filter((repo) => {
+    const keep = predicate(repo)
+
+    if (!keep) {
+      excluded.push(repo.name)
+    }
+
+    return keep
+  })
+
+  debug(`excluded ${excluded.length} repositories ${JSON.stringify(excluded)}`)
+
+  return kept
+}
+
+module.exports = Selection
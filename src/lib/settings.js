@@ -0,0 +1,177 @@
+const { flags } = require('@oclif/command')
+
+const GithubAPI = require('./github-api')
+
+// Github topics rules, see https://help.github.com/en/github/administering-a-repository/classifying-your-repository-with-topics
+const topicPattern = /^[a-z0-9][a-z0-9-]{0,49}$/
+// Editable settings: repository detail and Github API field they are read from and written to
+const settings = {
+  'default-branch': {
+    key: 'defaultBranch',
+    field: 'default_branch',
+    flag: flags.string({ description: 'set default branch (branch must exist)' })
+  },
+  visibility: {
+    key: 'private',
+    field: 'private',
+    flag: flags.string({ description: 'set visibility', options: ['public', 'private'] }),
+    parse: (value) => value === 'private',
+    format: (value) => (value ? 'private' : 'public')
+  },
+  wiki: {
+    key: 'hasWiki',
+    field: 'has_wiki',
+    flag: flags.boolean({ description: 'enable/disable wiki', allowNo: true })
+  },
+  issues: {
+    key: 'hasIssues',
+    field: 'has_issues',
+    flag: flags.boolean({ description: 'enable/disable issues', allowNo: true })
+  },
+  'merge-commit': {
+    key: 'allowMergeCommit',
+    field: 'allow_merge_commit',
+    flag: flags.boolean({ description: 'allow/disallow merging pull requests with a merge commit', allowNo: true })
+  },
+  'squash-merge': {
+    key: 'allowSquashMerge',
+    field: 'allow_squash_merge',
+    flag: flags.boolean({ description: 'allow/disallow squash merging pull requests', allowNo: true })
+  },
+  'rebase-merge': {
+    key: 'allowRebaseMerge',
+    field: 'allow_rebase_merge',
+    flag: flags.boolean({ description: 'allow/disallow rebase merging pull requests', allowNo: true })
+  },
+  'delete-branch-on-merge': {
+    key: 'deleteBranchOnMerge',
+    field: 'delete_branch_on_merge',
+    flag: flags.boolean({ description: 'enable/disable deleting head branches of merged pull requests', allowNo: true })
+  }
+}
+
+const Settings = {
+  /**
+   * Names of editable settings
+   */
+  names: Object.keys(settings).concat('topics'),
+  /**
+   * Setting flags
+   */
+  flags: Object.keys(settings).reduce((acc, name) => Object.assign(acc, { [name]: settings[name].flag }), {
+    'add-topic': flags.string({ description: 'add topic', multiple: true }),
+    'remove-topic': flags.string({ description: 'remove topic', multiple: true })
+  }),
+  /**
+   * Read setting changes from flags
+   * @param {Object} flags Parsed command flags
+   * @returns {Object?} Setting values by setting name, topics to add and remove in topics. Null if no change was given
+   * @throws {Error} Invalid topic
+   */
+  changes: function settingChanges(flags) {
+    const changes = {}
+
+    for (const name of Object.keys(settings)) {
+      if (flags[name] !== undefined) {
+        changes[name] = settings[name].parse ? settings[name].parse(flags[name]) : flags[name]
+      }
+    }
+
+    if (flags['add-topic'] || flags['remove-topic']) {
+      changes.topics = { add: flags['add-topic'] || [], remove: flags['remove-topic'] || [] }
+
+      for (const topic of changes.topics.add.concat(changes.topics.remove)) {
+        if (!topicPattern.test(topic)) {
+          throw new Error(
+            `Invalid topic ${topic}, topics are lowercase letters, numbers and hyphens, starting with a letter or number`
+          )
+        }
+      }
+    }
+
+    return Object.keys(changes).length ? changes : null
+  },
+  /**
+   * Get settings values of a repository after changes
+   * @param {Object} repository Repository details, see `GithubAPI.get.repository`
+   * @param {Object} changes Setting changes, see `Settings.changes`
+   * @returns {Object} Changed settings values by setting name
+   */
+  target: function targetSettings(repository, changes) {
+    const target = Object.assign({}, changes)
+
+    if (changes.topics) {
+      target.topics = repository.topics
+        .filter((topic) => changes.topics.remove.indexOf(topic) === -1)
+        .concat(changes.topics.add.filter((topic) => repository.topics.indexOf(topic) === -1))
+    }
+
+    return target
+  },
+  /**
+   * Find settings of a repository that differ from target values
+   * @param {Object} repository Repository details, see `GithubAPI.get.repository`
+   * @param {Object} target Settings values by setting name (topics being a list of topics)
+   * @returns {Array<Object<name: String, before: *, after: *>>} Differing settings, with their current and target values
+   */
+  diff: function diffSettings(repository, target) {
+    return Object.keys(target)
+      .map((name) => ({
+        name,
+        before: name === 'topics' ? repository.topics : repository[settings[name].key],
+        after: target[name]
+      }))
+      .filter(({ name, before, after }) =>
+        name === 'topics'
+          ? before
+              .slice()
+              .sort()
+              .join() !==
+            after
+              .slice()
+              .sort()
+              .join()
+          : before !== after
+      )
+  },
+  /**
+   * Format a setting value to be shown
+   * @param {String} name Setting name
+   * @param {*} value Setting value
+   * @returns {String} Formatted value
+   */
+  format: function formatSetting(name, value) {
+    if (name === 'topics') {
+      return value.length ? value.join(', ') : '(none)'
+    }
+
+    if (value === undefined || value === null) {
+      return '(unknown)'
+    }
+
+    return settings[name].format ? settings[name].format(value) : String(value)
+  },
+  /**
+   * Write settings of a repository
+   * @param {Object<token: String, api: String?>} auth Authentication details, see `Auth.get`
+   * @param {String} fullName Repository full name (owner/name)
+   * @param {Object} values Settings values by setting name (topics being a list of topics)
+   * @throws {Error|String} Github API error message or axios error
+   * @returns {void}
+   */
+  update: async function updateSettings(auth, fullName, values) {
+    const data = Object.keys(values)
+      .filter((name) => name !== 'topics')
+      .reduce((acc, name) => Object.assign(acc, { [settings[name].field]: values[name] }), {})
+
+    if (Object.keys(data).length) {
+      await GithubAPI.update.repository(auth, fullName, data)
+    }
+
+    if (values.topics) {
+      await GithubAPI.update.topics(auth, fullName, values.topics)
+    }
+  }
+}
+
+module.exports = Settings
@@ -0,0 +1,257 @@
+const { flags } = require('@oclif/command')
+const _debug = require('debug')
+const fs = require('fs')
+const path = require('path')
+
+const Manifest = require('./manifest')
+const Package = require('./package')
+
+const debug = _debug('snapshots')
+// Name of pointer to latest snapshot
+const latestName = 'latest'
+// Directories of mirrors holding content-addressed objects, which are never changed once written
+const objectsDirectories = ['objects', path.join('lfs', 'objects')]
+// Snapshots are named after their UTC creation date (eg. 2020-01-31T12-30-00Z), so that names sort by date
+const snapshotPattern = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z$/
+// Retention rules: flag and how snapshots are grouped by each rule
+const rules = {
+  last: { flag: 'keep-last', period: (date) => date.toISOString() },
+  daily: { flag: 'keep-daily', period: (date) => date.toISOString().slice(0, 10) },
+  weekly: { flag: 'keep-weekly', period: (date) => isoWeek(date) },
+  monthly: { flag: 'keep-monthly', period: (date) => date.toISOString().slice(0, 7) }
+}
+
+const Snapshots = {
+  latestName,
+  /**
+   * Retention flags, shared by backup and prune commands
+   */
+  flags: {
+    'keep-last': flags.string({
+      description: 'keep last N snapshots'
+    }),
+    'keep-daily': flags.string({
+      description: 'keep last snapshot of each of the last N days with snapshots'
+    }),
+    'keep-weekly': flags.string({
+      description: 'keep last snapshot of each of the last N weeks with snapshots'
+    }),
+    'keep-monthly': flags.string({
+      description: 'keep last snapshot of each of the last N months with snapshots'
+    })
+  },
+  /**
+   * Read retention policy from flags
+   * @param {Object} flags Command flags
+   * @returns {Object<last: Number?, daily: Number?, weekly: Number?, monthly: Number?>?} Snapshots count to keep by rule,
+   * null if no rule was given
+   * @throws {Error} Invalid count
+   */
+  policy: function retentionPolicy(flags) {
+    const policy = {}
+
+    for (const rule of Object.keys(rules)) {
+      const value = flags[rules[rule].flag]
+
+      if (value === undefined) continue
+
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid --${rules[rule].flag} value ${value}, expected a number of snapshots`)
+      }
+
+      policy[rule] = +value
+    }
+
+    return Object.keys(policy).length ? policy : null
+  },
+  /**
+   * List snapshots of a destination
+   * @param {String} destination Snapshots destination path
+   * @returns {Array<Object<name: String, path: String, date: Date, latest: Boolean>>} Snapshots, newest first
+   */
+  list: async function listSnapshots(destination) {
+    let entries = []
+
+    try {
+      entries = await fs.promises.readdir(destination, { withFileTypes: true })
+    } catch (err) {
+      return []
+    }
+
+    const latest = await Snapshots.latest(destination)
+
+    return entries
+      .filter((entry) => entry.isDirectory() && snapshotPattern.test(entry.name))
+      .map((entry) => {
+        const [, day, hours, minutes, seconds] = entry.name.match(snapshotPattern)
+
+        return {
+          name: entry.name,
+          path: path.join(destination, entry.name),
+          date: new Date(`${day}T${hours}:${minutes}:${seconds}Z`),
+          latest: entry.name === latest
+        }
+      })
+      .sort((a, b) => b.date - a.date)
+  },
+  /**
+   * Get name of snapshot latest pointer targets
+   * @param {String} destination Snapshots destination path
+   * @returns {String?} Snapshot name, null if there is no pointer
+   */
+  latest: async function latestSnapshot(destination) {
+    try {
+      return path.basename(await fs.promises.readlink(path.join(destination, latestName)))
+    } catch (err) {
+      return null
+    }
+  },
+  /**
+   * Create a snapshot in destination, starting from a copy of latest snapshot so that only changes are fetched.
+   * Files that backups replace instead of rewriting (git objects, packages, release assets) are hard linked
+   * to save space, other ones are copied so that previous snapshots are never changed
+   * @param {String} destination Snapshots destination path
+   * @param {Date?} date Snapshot date. Defaults to now
+   * @returns {Object<name: String, path: String, from: String?>} Created snapshot, and name of snapshot it was copied from
+   * @throws {Error} Snapshot already exists, file system error
+   */
+  create: async function createSnapshot(destination, date = new Date()) {
+    const name = date
+      .toISOString()
+      .replace(/\.\d+Z$/, 'Z')
+      .replace(/:/g, '-')
+    const snapshot = path.join(destination, name)
+    // Latest snapshot may have been removed by hand
+    const latest = (await Snapshots.list(destination)).find((item) => item.latest)
+    const from = latest ? latest.name : null
+
+    // Fails if snapshot already exists
+    await fs.promises.mkdir(snapshot)
+
+    if (from) {
+      debug(`copying snapshot ${from} to ${name}`)
+
+      try {
+        await copy(path.join(destination, from), snapshot, { root: true })
+      } catch (err) {
+        await Package.removeDirectory(snapshot)
+
+        throw err
+      }
+    }
+
+    return { name, path: snapshot, from }
+  },
+  /**
+   * Point latest pointer of a destination to a snapshot
+   * @param {String} destination Snapshots destination path
+   * @param {String} name Snapshot name
+   * @returns {void}
+   */
+  setLatest: async function setLatestSnapshot(destination, name) {
+    const pointer = path.join(destination, latestName)
+    const temporary = `${pointer}-${process.pid}`
+
+    // Replace pointer atomically, it is never missing
+    await fs.promises.symlink(name, temporary, 'dir')
+    await fs.promises.rename(temporary, pointer)
+  },
+  /**
+   * Find snapshots to keep according to a retention policy. Snapshot targeted by latest pointer is always kept
+   * @param {Array<Object>} snapshots Snapshots, newest first (see `Snapshots.list`)
+   * @param {Object} policy Retention policy, see `Snapshots.policy`
+   * @returns {Array<Object<name: String, path: String, date: Date, latest: Boolean, keep: Boolean, reasons: Array<String>>>}
+   * Snapshots, with rules keeping them
+   */
+  select: function selectSnapshots(snapshots, policy) {
+    const selection = snapshots.map((snapshot) =>
+      Object.assign({}, snapshot, { keep: snapshot.latest, reasons: snapshot.latest ? [latestName] : [] })
+    )
+
+    for (const rule of Object.keys(rules)) {
+      if (!policy[rule]) continue
+
+      const periods = []
+
+      for (const snapshot of selection) {
+        const period = rules[rule].period(snapshot.date)
+
+        // Newest snapshot of each period is kept
+        if (periods.indexOf(period) !== -1) continue
+
+        if (periods.length === policy[rule]) break
+
+        periods.push(period)
+
+        snapshot.keep = true
+        snapshot.reasons.push(rule)
+      }
+    }
+
+    return selection
+  },
+  /**
+   * Remove a snapshot
+   * @param {Object<path: String>} snapshot Snapshot
+   * @returns {void}
+   */
+  remove: async function removeSnapshot(snapshot) {
+    await Package.removeDirectory(snapshot.path)
+  }
+}
+
+/**
+ * Copy a snapshot directory, hard linking files that are replaced instead of rewritten by backups.
+ * In mirrors, only content-addressed objects (git and LFS ones) are, outside of mirrors every file but JSON files
+ * (manifests, metadata, indexes) is
+ * @param {String} from Source directory
+ * @param {String} to Target directory
+ * @param {Object} options
+ * @param {Boolean?} options.root Whether directory is snapshot root, whose manifests are not copied
+ * @param {String?} options.mirror Path of directory relative to its mirror, null outside of mirrors
+ * @param {Boolean?} options.objects Whether directory holds content-addressed objects
+ * @returns {void}
+ * @throws {Error} File system error
+ */
+const copy = async function(from, to, { root = false, mirror = null, objects = false }) {
+  await fs.promises.mkdir(to, { recursive: true })
+
+  for (const entry of await fs.promises.readdir(from, { withFileTypes: true })) {
+    const source = path.join(from, entry.name)
+    const target = path.join(to, entry.name)
+
+    if (entry.isDirectory()) {
+      const relative = mirror !== null ? path.join(mirror, entry.name) : /\.git$/.test(entry.name) ? '' : null
+
+      await copy(source, target, {
+        mirror: relative,
+        objects: objects || objectsDirectories.indexOf(relative) !== -1
+      })
+    } else if (entry.isSymbolicLink()) {
+      await fs.promises.symlink(await fs.promises.readlink(source), target)
+    } else if (root && Manifest.isManifest(entry.name)) {
+      continue
+    } else if (mirror !== null ? objects : !/\.json$/.test(entry.name)) {
+      await fs.promises.link(source, target)
+    } else {
+      await fs.promises.copyFile(source, target)
+    }
+  }
+}
+
+/**
+ * Get ISO 8601 week of a date (weeks start on monday, first week of year holds its first thursday)
+ * @param {Date} date Date
+ * @returns {String} Week (eg. 2020-W05)
+ */
+const isoWeek = function(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7))
+
+  const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7)
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+module.exports = Snapshots
@@ -0,0 +1,49 @@
+const Table = {
+  /**
+   * Render rows as a text table with aligned columns
+   * @param {Array<Object>} rows Rows to render
+   * @param {Array<Object<key: String, header: String>>} columns Columns to render, in order
+   * @returns {String} Rendered table
+   */
+  render: function renderTable(rows, columns) {
+    const cells = [columns.map((column) => column.header)].concat(
+      rows.map((row) => columns.map((column) => format(row[column.key])))
+    )
+    const widths = columns.map((column, index) => Math.max(...cells.map((line) => line[index].length)))
+
+    return cells
+      .map((line) =>
+        line
+          .map((cell, index) => (index === line.length - 1 ? cell : cell.padEnd(widths[index])))
+          .join('  ')
+          .trimEnd()
+      )
+      .join('\n')
+  },
+  /**
+   * Render rows as CSV (RFC 4180), with a header line
+   * @param {Array<Object>} rows Rows to render
+   * @param {Array<Object<key: String, header: String>>} columns Columns to render, in order
+   * @returns {String} Rendered CSV
+   */
+  csv: function renderCSV(rows, columns) {
+    // Cells holding separators, quotes or line breaks are quoted, with their quotes doubled
+    const escape = (cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)
+
+    return [columns.map((column) => column.header)]
+      .concat(rows.map((row) => columns.map((column) => format(row[column.key]))))
+      .map((line) => line.map(escape).join(','))
+      .join('\n')
+  }
+}
+
+/**
+ * Format a cell value, missing values are left blank
+ * @param {*} value Value
+ * @returns {String} Cell text
+ */
+const format = function(value) {
+  return value === undefined || value === null ? '' : String(value)
+}
+
+module.exports = Table
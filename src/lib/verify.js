@@ -0,0 +1,200 @@
+const _debug = require('debug')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Encryption = require('./encryption')
+const Git = require('./git')
+const GithubAPI = require('./github-api')
+const Package = require('./package')
+
+const debug = _debug('verify')
+
+const Verify = {
+  /**
+   * Run integrity checks on a backup mirror. Each check is passed, failed or skipped:
+   * - checksum: package files match their checksum files (packaged mirrors only)
+   * - fsck: all objects are valid and reachable (`git fsck`)
+   * - lfs: all LFS objects referenced by mirror are stored in it, with their size
+   * - refs: branches match the ones recorded in backup manifest
+   * - remote: branches match the ones of Github repository (gists are skipped)
+   * @param {Object} mirror Mirror, see `Mirrors.list`
+   * @param {Object} options
+   * @param {Object?} options.entry Mirror entry in backup manifest. Refs check is skipped without it, or when its backup failed
+   * @param {Object<token: String, api: String?>?} options.auth Authentication details, see `Auth.get`. Remote check is skipped without it
+   * @param {Object?} options.keys Decryption keys of encrypted packages, see `Encryption.keys`
+   * @param {Function?} options.progress Called with a description of each check
+   * @returns {Object} Checks results, with problems found
+   */
+  mirror: async function verifyMirror(mirror, { entry, auth, keys, progress = () => {} }) {
+    const result = {
+      fullName: mirror.fullName,
+      path: mirror.file,
+      checksum: 'skipped',
+      fsck: 'skipped',
+      lfs: 'skipped',
+      refs: 'skipped',
+      remote: 'skipped',
+      status: null,
+      problems: []
+    }
+    const fail = (check, problem) => {
+      result[check] = 'failed'
+      result.problems.push(problem)
+    }
+    let unpacked = null
+    let data = { path: mirror.path }
+
+    try {
+      if (mirror.format !== 'mirror') {
+        progress(`Checking ${mirror.file} checksum...`)
+
+        try {
+          await Package.verify(mirror)
+
+          result.checksum = 'passed'
+        } catch (err) {
+          debug(err)
+
+          fail('checksum', err.message)
+        }
+
+        // Package content can only be checked once unpacked, encrypted packages are left as is without keys
+        if (result.checksum === 'failed' || (mirror.encrypted && !Encryption.canDecrypt(keys))) {
+          return done(result)
+        }
+
+        progress(`Unpacking ${mirror.file}...`)
+
+        unpacked = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gbulk-'))
+        data = { path: path.join(unpacked, path.basename(mirror.path)) }
+
+        await Package.unpack(Object.assign({ keys, to: data.path }, mirror))
+      }
+
+      progress('Checking objects...')
+
+      try {
+        await Git.fsck(data)
+
+        result.fsck = 'passed'
+      } catch (err) {
+        debug(err)
+
+        fail('fsck', `git fsck failed: ${Git.errorLine(err)}`)
+      }
+
+      // LFS objects are not expected in mirrors backup without them
+      if (!entry || entry.lfs !== 'skipped') {
+        progress('Checking LFS objects...')
+
+        const missing = []
+
+        for (const object of await Git.LFS.objects(data)) {
+          // LFS stores objects in mirror as lfs/objects/<oid[0:2]>/<oid[2:4]>/<oid>
+          const file = path.join(
+            data.path,
+            'lfs',
+            'objects',
+            object.oid.slice(0, 2),
+            object.oid.slice(2, 4),
+            object.oid
+          )
+
+          try {
+            if ((await fs.promises.stat(file)).size !== object.size) {
+              missing.push(object.oid)
+            }
+          } catch (err) {
+            missing.push(object.oid)
+          }
+        }
+
+        if (missing.length) {
+          const oids = missing.slice(0, 3).join(', ') + (missing.length > 3 ? ', ...' : '')
+
+          fail('lfs', `${missing.length} LFS objects are missing or truncated (${oids})`)
+        } else {
+          result.lfs = 'passed'
+        }
+      }
+
+      const heads = await Git.heads(data)
+
+      // Heads are only recorded by successful backups, failed or skipped ones leave them empty
+      if (entry && entry.heads && (entry.status === 'cloned' || entry.status === 'updated')) {
+        progress('Comparing refs with backup manifest...')
+
+        const changed = compare(entry.heads, heads)
+
+        if (changed.length) {
+          fail('refs', `branches differ from backup manifest: ${changed.join(', ')}`)
+        } else {
+          result.refs = 'passed'
+        }
+      }
+
+      // Gists are not repositories, they cannot be found by their mirror name
+      if (auth && mirror.kind !== 'gists') {
+        progress('Comparing refs with Github...')
+
+        const repository = await GithubAPI.get.repository(auth, mirror.fullName)
+
+        if (!repository) {
+          fail('remote', `${mirror.fullName} was deleted upstream or is no longer accessible`)
+        } else if (repository.fullName !== mirror.fullName) {
+          fail('remote', `${mirror.fullName} was renamed upstream to ${repository.fullName}`)
+        } else {
+          const changed = compare(await Git.remoteHeads({ url: repository.urls.https, token: auth.token }), heads)
+
+          if (changed.length) {
+            fail('remote', `mirror is stale, branches differ from Github: ${changed.join(', ')}`)
+          } else {
+            result.remote = 'passed'
+          }
+        }
+      }
+    } catch (err) {
+      debug(err)
+
+      result.problems.push(err.shortMessage || err.message)
+      result.status = 'failed'
+    } finally {
+      if (unpacked) {
+        await Package.removeDirectory(unpacked)
+      }
+    }
+
+    return done(result)
+  }
+}
+
+/**
+ * Set status of checks results
+ * @param {Object} result Checks results
+ * @returns {Object} Checks results
+ */
+const done = function(result) {
+  if (!result.status) {
+    result.status = ['checksum', 'fsck', 'lfs', 'refs', 'remote'].some((check) => result[check] === 'failed')
+      ? 'failed'
+      : 'passed'
+  }
+
+  return result
+}
+
+/**
+ * Find branches that differ between expected and actual ones
+ * @param {Object<String, String>} expected Expected commit SHA by ref name
+ * @param {Object<String, String>} actual Actual commit SHA by ref name
+ * @returns {Array<String>} Differing branches names
+ */
+const compare = function(expected, actual) {
+  return Object.keys(Object.assign({}, expected, actual))
+    .filter((ref) => expected[ref] !== actual[ref])
+    .sort()
+    .map((ref) => ref.replace(/^refs\/heads\//, ''))
+}
+
+module.exports = Verify
@@ -0,0 +1,96 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const { profiles, scopedProfiles } = require('../helpers/config')
+
+describe('archive', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['archive'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['archive', '--pushed-before', 'yesterday'])
+    .catch((err) => expect(err.message).to.contain('Invalid date yesterday for --pushed-before'))
+    .it('requires a valid cutoff date')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => [
+      { fullName: 'jeff/repo', name: 'repo', private: false, archived: true, pushedAt: '2019-01-01T00:00:00Z' }
+    ])
+    .stderr()
+    .command(['archive', '--quiet'])
+    .exit(1)
+    .it('skips repositories already archived', (ctx) => {
+      expect(ctx.stderr).to.contain('No repositories to archive.')
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['archive', '--max-size', 'big'])
+    .catch((err) => expect(err.message).to.contain('Invalid size big for --max-size'))
+    .it('requires a valid maximum size')
+
+  test
+    .stub(config, 'get', scopedProfiles(['public_repo']))
+    .command(['archive', '--private'])
+    .catch((err) => expect(err.message).to.contain('missing repo scope (needed to archive private repositories)'))
+    .it('requires repo scope to archive private repositories')
+
+  test
+    .stub(config, 'get', scopedProfiles(['public_repo']))
+    .command(['archive'])
+    .catch((err) => expect(err.message).to.contain('missing repo scope (needed to archive private repositories)'))
+    .it('requires repo scope unless only public repositories are selected')
+
+  const selected = []
+
+  test
+    .stub(config, 'get', scopedProfiles(['public_repo']))
+    .stub(GithubAPI.get, 'repositories', async ({ options }) => selected.push(options.type) && [])
+    .stderr()
+    .command(['archive', '--public'])
+    .exit(1)
+    .it('only requires public_repo scope to archive public repositories', () => {
+      expect(selected).to.deep.equal(['public'])
+    })
+
+  const archived = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => [
+      { fullName: 'jeff/fork', name: 'fork', fork: true, language: 'Go', topics: [], size: 10 },
+      { fullName: 'jeff/js', name: 'js', fork: false, language: 'JavaScript', topics: ['cli'], size: 10 },
+      { fullName: 'jeff/go', name: 'go', fork: false, language: 'Go', topics: ['cli'], size: 10 },
+      { fullName: 'jeff/huge', name: 'huge', fork: false, language: 'Go', topics: ['cli'], size: 4096 }
+    ])
+    .stub(GithubAPI.update, 'repository', async (auth, fullName) => archived.push(fullName))
+    .stdout()
+    .command(['archive', '--no-forks', '--language', 'go', '--topic', 'cli', '--max-size', '1', '--yes', '--quiet'])
+    .exit(0)
+    .it('filters repositories on their details', () => {
+      expect(archived).to.deep.equal(['jeff/go'])
+    })
+
+  const stale = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => [
+      { fullName: 'jeff/old', name: 'old', pushedAt: '2018-01-01T00:00:00Z' },
+      { fullName: 'jeff/empty', name: 'empty', pushedAt: null },
+      { fullName: 'jeff/new', name: 'new', pushedAt: '2020-01-01T00:00:00Z' }
+    ])
+    .stub(GithubAPI.update, 'repository', async (auth, fullName) => stale.push(fullName))
+    .stdout()
+    .command(['archive', '--pushed-before', '2019-01-01', '--yes', '--quiet'])
+    .exit(0)
+    .it('archives repositories not pushed since a date, including never pushed ones', () => {
+      expect(stale).to.have.members(['jeff/old', 'jeff/empty'])
+    })
+})
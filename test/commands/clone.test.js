@@ -0,0 +1,58 @@
+const { expect, test } = require('@oclif/test')
+const os = require('os')
+const path = require('path')
+
+const config = require('../../src/config')
+const Checkouts = require('../../src/lib/checkouts')
+const GithubAPI = require('../../src/lib/github-api')
+const Git = require('../../src/lib/git')
+const Package = require('../../src/lib/package')
+const { profiles } = require('../helpers/config')
+
+const repositories = async () => [
+  { fullName: 'jeff/repo', name: 'repo', fork: false, urls: { https: 'https://github.com/jeff/repo.git' } },
+  { fullName: 'jeff/done', name: 'done', fork: false, urls: { https: 'https://github.com/jeff/done.git' } },
+  { fullName: 'jeff/fork', name: 'fork', fork: true, urls: { https: 'https://github.com/jeff/fork.git' } }
+]
+
+describe('clone', () => {
+  const destination = path.join(os.tmpdir(), `gbulk-checkouts-${process.pid}`)
+
+  after(() => Package.removeDirectory(destination))
+
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['clone'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['clone', '--layout', '{owner}'])
+    .catch((err) => expect(err.message).to.contain('Layout {owner} must hold {repo}'))
+    .it('requires a layout with a checkout by repository')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['clone', '--layout', '{org}/{repo}'])
+    .catch((err) => expect(err.message).to.contain('Unknown placeholder {org} in layout {org}/{repo}'))
+    .it('requires known layout placeholders')
+
+  const cloned = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', repositories)
+    .stub(Git, 'check', async () => {})
+    .stub(Checkouts, 'isCheckout', async (checkout) => path.basename(checkout) === 'done')
+    .stub(Git, 'checkout', async (data) => cloned.push(data))
+    .stdout()
+    .command(['clone', 'jeff', destination, '--no-forks', '--layout', 'src/{repo}', '--output', 'plain'])
+    .exit(0)
+    .it('clones filtered repositories following layout, leaving existing checkouts untouched', (ctx) => {
+      expect(cloned).to.deep.equal([
+        { path: path.join(destination, 'src', 'repo'), url: 'https://github.com/jeff/repo.git', token: 'token' }
+      ])
+      expect(ctx.stdout).to.contain('1 cloned, 1 already cloned, 0 failed.')
+    })
+})
@@ -0,0 +1,127 @@
+const { expect, test } = require('@oclif/test')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const { profiles } = require('../helpers/config')
+
+const repositories = {
+  'jeff/cli': { fullName: 'jeff/cli', name: 'cli', private: false, hasWiki: true, topics: ['go'] },
+  'jeff/web': { fullName: 'jeff/web', name: 'web', private: false, hasWiki: false, topics: ['cli', 'go'] }
+}
+const record = path.join(os.tmpdir(), `gbulk-edit-test-${process.pid}.json`)
+
+describe('edit', () => {
+  after(() => fs.promises.unlink(record).catch(() => {}))
+
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['edit', '--no-wiki'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['edit'])
+    .catch((err) => expect(err.message).to.contain('No settings to change'))
+    .it('requires settings to change')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['edit', '--add-topic', 'Not A Topic'])
+    .catch((err) => expect(err.message).to.contain('Invalid topic Not A Topic'))
+    .it('requires valid topics')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => Object.values(repositories))
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => repositories[fullName])
+    .stdout()
+    .stderr()
+    .command(['edit', '--add-topic', 'cli', '--no-wiki', '--dry-run', '--quiet'])
+    .exit(0)
+    .it('shows a diff of repositories to change', (ctx) => {
+      expect(ctx.stdout).to.contain('The following 1 repositories will be edited:')
+      expect(ctx.stdout).not.to.contain('jeff/web')
+      expect(ctx.stdout).to.contain('- wiki: true')
+      expect(ctx.stdout).to.contain('+ wiki: false')
+      expect(ctx.stdout).to.contain('- topics: go')
+      expect(ctx.stdout).to.contain('+ topics: go, cli')
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => Object.values(repositories))
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => repositories[fullName])
+    .stderr()
+    .command(['edit', '--no-wiki', '--match', 'web', '--quiet'])
+    .exit(1)
+    .it('skips repositories already having settings', (ctx) => {
+      expect(ctx.stderr).to.contain('No repositories to edit')
+    })
+
+  const updates = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => Object.values(repositories))
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => repositories[fullName])
+    .stub(GithubAPI.update, 'repository', async (auth, fullName, data) => updates.push({ fullName, data }))
+    .stub(GithubAPI.update, 'topics', async (auth, fullName, names) => updates.push({ fullName, names }))
+    .stdout()
+    .command(['edit', '--add-topic', 'cli', '--no-wiki', '--yes', '--quiet', '--record', record])
+    .exit(0)
+    .it('edits repositories and records previous values', async (ctx) => {
+      expect(updates).to.deep.include({ fullName: 'jeff/cli', data: { has_wiki: false } })
+      expect(updates).to.deep.include({ fullName: 'jeff/cli', names: ['go', 'cli'] })
+      expect(updates).to.have.lengthOf(2)
+      expect(ctx.stdout).to.contain('1/1 repositories edited.')
+      expect(ctx.stdout).to.contain(`gbulk edit --revert ${record}`)
+
+      const written = JSON.parse(await fs.promises.readFile(record, 'utf8'))
+
+      expect(written.source).to.equal('jeff')
+      expect(written.repositories).to.deep.equal([
+        {
+          fullName: 'jeff/cli',
+          before: { wiki: true, topics: ['go'] },
+          after: { wiki: false, topics: ['go', 'cli'] }
+        }
+      ])
+    })
+
+  const reverts = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) =>
+      Object.assign({}, repositories[fullName], { hasWiki: false, topics: ['go', 'cli'] })
+    )
+    .stub(GithubAPI.update, 'repository', async (auth, fullName, data) => reverts.push({ fullName, data }))
+    .stub(GithubAPI.update, 'topics', async (auth, fullName, names) => reverts.push({ fullName, names }))
+    .stdout()
+    .command(['edit', '--revert', record, '--yes', '--quiet', '--record', `${record}.revert`])
+    .exit(0)
+    .it('reverts an edit from its record', async () => {
+      await fs.promises.unlink(`${record}.revert`)
+
+      expect(reverts).to.deep.equal([
+        { fullName: 'jeff/cli', data: { has_wiki: true } },
+        { fullName: 'jeff/cli', names: ['go'] }
+      ])
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['edit', '--revert', record, '--no-wiki'])
+    .catch((err) => expect(err.message).to.contain('Settings cannot be changed while reverting an edit'))
+    .it('cannot revert and change settings at once')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['edit', '--revert', record, '--match', 'cli'])
+    .catch((err) => expect(err.message).to.contain('cannot also be provided when using --revert'))
+    .it('cannot revert and select repositories at once')
+})
@@ -0,0 +1,74 @@
+const { expect, test } = require('@oclif/test')
+const os = require('os')
+
+const Checkouts = require('../../src/lib/checkouts')
+
+const checkouts = async () => [
+  { name: 'jeff/repo', path: os.tmpdir() },
+  { name: 'jeff/other', path: os.tmpdir() }
+]
+
+describe('exec', () => {
+  test
+    .command(['exec'])
+    .catch((err) => expect(err.message).to.contain('No command given'))
+    .it('requires a command')
+
+  test
+    .stub(Checkouts, 'list', checkouts)
+    .stdout()
+    .command(['exec', '--output', 'json', '--', 'echo $GBULK_REPOSITORY; test $GBULK_REPOSITORY = jeff/repo'])
+    .exit(1)
+    .it('runs command in each checkout and collects exit statuses', (ctx) => {
+      const events = ctx.stdout
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line))
+      const finished = events.filter((event) => event.event === 'repository.finished')
+
+      expect(finished.map((event) => [event.name, event.exitCode, event.output])).to.have.deep.members([
+        ['jeff/repo', 0, 'jeff/repo'],
+        ['jeff/other', 1, 'jeff/other']
+      ])
+      expect(events.pop()).to.include({ event: 'exec.finished', repositories: 2, failed: 1 })
+    })
+
+  test
+    .stub(Checkouts, 'list', async () => [{ name: 'jeff/repo', path: os.tmpdir() }])
+    .stdout()
+    .command([
+      'exec',
+      '--output',
+      'json',
+      '--',
+      'echo',
+      '$GBULK_REPOSITORY',
+      '|',
+      'tr',
+      'a-z',
+      'A-Z',
+      '&&',
+      'echo',
+      'done'
+    ])
+    .exit(0)
+    .it('runs command by shell', (ctx) => {
+      const finished = ctx.stdout
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line))
+        .find((event) => event.event === 'repository.finished')
+
+      expect(finished.output).to.equal('JEFF/REPO\ndone')
+    })
+
+  test
+    .stub(Checkouts, 'list', async () => [{ name: 'jeff/repo', path: os.tmpdir() }])
+    .stdout()
+    .command(['exec', '--', 'gbulk-unknown-command'])
+    .exit(1)
+    .it('reports commands that cannot be run', (ctx) => {
+      expect(ctx.stdout).to.contain('exit code 127')
+      expect(ctx.stdout).to.contain('gbulk-unknown-command: not found')
+    })
+})
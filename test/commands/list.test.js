@@ -0,0 +1,130 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const api = require('../helpers/api')
+const { profiles } = require('../helpers/config')
+
+const repositories = async () => [
+  {
+    fullName: 'jeff/small',
+    name: 'small',
+    private: false,
+    fork: false,
+    archived: false,
+    language: 'Go',
+    pushedAt: '2019-01-01T00:00:00Z',
+    size: 10,
+    defaultBranch: 'master'
+  },
+  {
+    fullName: 'jeff/big',
+    name: 'big',
+    private: true,
+    fork: true,
+    archived: false,
+    language: null,
+    pushedAt: '2020-01-01T00:00:00Z',
+    size: 4096,
+    defaultBranch: 'main'
+  },
+  {
+    fullName: 'jeff/medium',
+    name: 'medium',
+    private: false,
+    fork: false,
+    archived: true,
+    language: 'JavaScript',
+    pushedAt: null,
+    size: 512,
+    defaultBranch: 'main'
+  }
+]
+
+describe('list', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['list'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['list', '--columns', 'name,stars'])
+    .catch((err) => expect(err.message).to.contain('Unknown column stars, expected one of name, visibility'))
+    .it('requires known columns')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', repositories)
+    .stdout()
+    .command(['list', '--columns', 'name,language,size'])
+    .it('lists repositories as a table sorted by name', (ctx) => {
+      expect(ctx.stdout).to.equal(
+        [
+          'NAME         LANGUAGE    SIZE (KB)',
+          'jeff/big                 4096',
+          'jeff/medium  JavaScript  512',
+          'jeff/small   Go          10',
+          ''
+        ].join('\n')
+      )
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', repositories)
+    .stdout()
+    .command(['list', '--no-forks', '--output', 'json', '--columns', 'name,pushed', '--sort', 'pushed', '--reverse'])
+    .it('lists filtered repositories as JSON, with missing values last', (ctx) => {
+      expect(JSON.parse(ctx.stdout)).to.deep.equal([
+        { name: 'jeff/small', pushedAt: '2019-01-01T00:00:00Z' },
+        { name: 'jeff/medium', pushedAt: null }
+      ])
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () =>
+      (await repositories()).map((repository) => Object.assign(repository, { language: 'C, C++ "legacy"' }))
+    )
+    .stdout()
+    .command(['list', '--output', 'csv', '--columns', 'name,visibility,language', '--sort', 'size'])
+    .it('lists repositories as CSV', (ctx) => {
+      expect(ctx.stdout).to.equal(
+        [
+          'name,visibility,language',
+          'jeff/small,public,"C, C++ ""legacy"""',
+          'jeff/medium,public,"C, C++ ""legacy"""',
+          'jeff/big,private,"C, C++ ""legacy"""',
+          ''
+        ].join('\n')
+      )
+    })
+
+  const server = api()
+
+  before(server.listen)
+  after(server.close)
+
+  test
+    .stub(config, 'get', (key) =>
+      key === 'profiles'
+        ? {
+            default: Object.assign({}, profiles(key).default, {
+              host: 'github.example.com',
+              api: `${server.auth().api}/api/v3/`
+            })
+          }
+        : undefined
+    )
+    .do(() => server.respond('GET /api/v3/user/repos', { body: [] }))
+    .stdout()
+    .stderr()
+    .command(['list'])
+    .it('sends requests to API of profile host', () => {
+      expect(server.requests).to.have.lengthOf(1)
+      expect(server.requests[0].route).to.equal('GET /api/v3/user/repos')
+      expect(server.requests[0].headers.authorization).to.equal('token token')
+    })
+})
@@ -1,17 +1,90 @@
-const {expect, test} = require('@oclif/test')
+const { expect, test } = require('@oclif/test')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
 
-describe('login', () => {
-  test
-  .stdout()
-  .command(['login'])
-  .it('runs hello', ctx => {
-    expect(ctx.stdout).to.contain('hello world')
-  })
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
 
+const file = path.join(os.tmpdir(), `gbulk-token-${process.pid}`)
+const scopes = ['repo', 'read:org', 'gist']
+// In-memory configuration, so that tests never change the real one
+const store = {}
+const login = (user) =>
   test
-  .stdout()
-  .command(['login', '--name', 'jeff'])
-  .it('runs hello --name jeff', ctx => {
-    expect(ctx.stdout).to.contain('hello jeff')
-  })
+    .do(() => Object.keys(store).forEach((key) => delete store[key]))
+    .env({ GBULK_TOKEN: undefined })
+    .stub(config, 'get', (key) => store[key])
+    .stub(config, 'set', (key, value) => (store[key] = value))
+    .stub(config, 'delete', (key) => delete store[key])
+    .stub(GithubAPI.get, 'user', async (auth) => {
+      if (auth.token === 'bad-token') {
+        throw 'Bad credentials'
+      }
+
+      return Object.assign({ login: 'jeff', token: auth.token, api: auth.api }, user)
+    })
+
+describe('login', () => {
+  after(() => fs.promises.unlink(file).catch(() => {}))
+
+  login({ scopes })
+    .do(() => fs.writeFileSync(file, '  file-token\n'))
+    .command(['login', '--token-file', file])
+    .it('reads token from a file', () => {
+      expect(store.profiles).to.deep.equal({
+        default: { token: 'file-token', user: 'jeff', host: 'github.com', api: 'https://api.github.com', scopes }
+      })
+      expect(store.defaultProfile).to.equal('default')
+    })
+
+  const stdin = new PassThrough()
+
+  login({ scopes })
+    .do(() => stdin.end('stdin-token\n'))
+    .stub(process, 'stdin', () => stdin)
+    .command(['login', '--token-file', '-', '--profile', 'ci'])
+    .it('reads token from standard input', () => {
+      expect(store.profiles.ci).to.include({ token: 'stdin-token', user: 'jeff' })
+    })
+
+  login({ scopes })
+    .env({ GBULK_TOKEN: 'env-token' })
+    .command(['login', '--host', 'github.acme.com'])
+    .it('reads token from GBULK_TOKEN environment variable', () => {
+      expect(store.profiles.default).to.include({
+        token: 'env-token',
+        host: 'github.acme.com',
+        api: 'https://github.acme.com/api/v3'
+      })
+    })
+
+  login({ scopes })
+    .do(() => fs.writeFileSync(file, '\n'))
+    .command(['login', '--token-file', file])
+    .catch((err) => expect(err.message).to.contain(`Cannot read token from ${file}: file is empty`))
+    .it('requires a token in token file')
+
+  login({ scopes })
+    .env({ GBULK_TOKEN: 'bad-token' })
+    .command(['login'])
+    .catch((err) => expect(err.message).to.contain('Bad credentials'))
+    .it('does not store invalid tokens', () => {
+      expect(store.profiles).to.deep.equal({})
+    })
+
+  login({ scopes: ['public_repo'] })
+    .env({ GBULK_TOKEN: 'env-token' })
+    .stderr()
+    .command(['login'])
+    .it('warns about missing scopes', (ctx) => {
+      // Warnings are wrapped to terminal width
+      const warning = ctx.stderr.replace(/\s*\n ›\s*/g, ' ')
+
+      expect(warning).to.contain(
+        'Token is missing some scopes, commands needing them will fail: repo (needed to work with private repositories), read:org (needed to list organizations teams), gist (needed to backup secret gists)'
+      )
+      expect(store.profiles.default.scopes).to.deep.equal(['public_repo'])
+    })
 })
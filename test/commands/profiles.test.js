@@ -0,0 +1,39 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+
+// Configuration with a personal profile and an enterprise one, personal being the default
+const profiles = (key) =>
+  ({
+    profiles: {
+      personal: { token: 'token', user: 'jeff', host: 'github.com', api: 'https://api.github.com' },
+      work: { token: 'token', user: 'jeff-corp', host: 'github.acme.com', api: 'https://github.acme.com/api/v3' }
+    },
+    defaultProfile: 'personal'
+  }[key])
+
+describe('profiles', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .stderr()
+    .command(['profiles'])
+    .exit(1)
+    .it('requires a profile', (ctx) => {
+      expect(ctx.stderr).to.contain('No profiles')
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .stdout()
+    .command(['profiles'])
+    .it('lists profiles', (ctx) => {
+      expect(ctx.stdout).to.match(/\*\s+personal\s+jeff\s+github\.com/)
+      expect(ctx.stdout).to.match(/\s+work\s+jeff-corp\s+github\.acme\.com/)
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['profiles', '--default', 'bot'])
+    .catch((err) => expect(err.message).to.contain('Unknown profile bot'))
+    .it('only sets an existing profile as default')
+})
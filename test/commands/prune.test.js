@@ -0,0 +1,49 @@
+const { expect, test } = require('@oclif/test')
+
+const Snapshots = require('../../src/lib/snapshots')
+
+const snapshots = async () => [
+  { name: '2020-01-31T08-00-00Z', path: '2020-01-31T08-00-00Z', date: new Date('2020-01-31T08:00:00Z'), latest: true },
+  { name: '2020-01-30T20-00-00Z', path: '2020-01-30T20-00-00Z', date: new Date('2020-01-30T20:00:00Z'), latest: false },
+  { name: '2020-01-30T08-00-00Z', path: '2020-01-30T08-00-00Z', date: new Date('2020-01-30T08:00:00Z'), latest: false },
+  { name: '2019-12-31T08-00-00Z', path: '2019-12-31T08-00-00Z', date: new Date('2019-12-31T08:00:00Z'), latest: false }
+]
+
+describe('prune', () => {
+  test
+    .command(['prune', '.'])
+    .catch((err) => expect(err.message).to.contain('No retention rule given'))
+    .it('requires a retention rule')
+
+  test
+    .command(['prune', '.', '--keep-daily', 'two'])
+    .catch((err) => expect(err.message).to.contain('Invalid --keep-daily value two'))
+    .it('requires a number of snapshots')
+
+  test
+    .stub(Snapshots, 'list', snapshots)
+    .stub(Snapshots, 'remove', () => Promise.reject(new Error('should not remove snapshots')))
+    .stdout()
+    .command(['prune', '.', '--keep-daily', '2', '--dry-run'])
+    .exit(0)
+    .it('previews snapshots to remove', (ctx) => {
+      expect(ctx.stdout).to.match(/2020-01-31T08-00-00Z\s+keep\s+latest, daily/)
+      expect(ctx.stdout).to.match(/2020-01-30T20-00-00Z\s+keep\s+daily/)
+      expect(ctx.stdout).to.match(/2020-01-30T08-00-00Z\s+would remove/)
+      expect(ctx.stdout).to.match(/2019-12-31T08-00-00Z\s+would remove/)
+      expect(ctx.stdout).to.contain('2/4 snapshots would be removed.')
+    })
+
+  const removed = []
+
+  test
+    .stub(Snapshots, 'list', snapshots)
+    .stub(Snapshots, 'remove', async (snapshot) => removed.push(snapshot.name))
+    .stdout()
+    .command(['prune', '.', '--keep-last', '1', '--keep-monthly', '2'])
+    .exit(0)
+    .it('removes snapshots not kept by any rule', (ctx) => {
+      expect(removed).to.deep.equal(['2020-01-30T20-00-00Z', '2020-01-30T08-00-00Z'])
+      expect(ctx.stdout).to.contain('2/4 snapshots removed.')
+    })
+})
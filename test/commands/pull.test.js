@@ -0,0 +1,68 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+const Checkouts = require('../../src/lib/checkouts')
+const Git = require('../../src/lib/git')
+const { profiles } = require('../helpers/config')
+
+const status = (changes) => Object.assign({ branch: 'master', upstream: 'origin/master', ahead: 0, behind: 0 }, changes)
+const statuses = {
+  'jeff/clean': status({ behind: 2 }),
+  'jeff/dirty': status({ behind: 2, changes: 1 }),
+  'jeff/diverged': status({ ahead: 1, behind: 2 }),
+  'gitlab/repo': status({})
+}
+
+describe('pull', () => {
+  test
+    .command(['pull', 'unknown-gbulk-checkouts'])
+    .catch((err) => expect(err.message).to.contain('Cannot read checkouts directory unknown-gbulk-checkouts'))
+    .it('requires an existing directory')
+
+  const fetched = {}
+  const fastForwarded = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(Git, 'check', async () => {})
+    .stub(Checkouts, 'list', async () => Object.keys(statuses).map((name) => ({ name, path: name })))
+    .stub(Git, 'remoteUrls', async ({ path }) => [
+      path === 'gitlab/repo' ? 'https://gitlab.com/jeff/repo.git' : `https://github.com/${path}.git`
+    ])
+    .stub(Git, 'fetch', async ({ path, token }) => {
+      fetched[path] = token
+    })
+    .stub(Git, 'status', async ({ path }) => statuses[path])
+    .stub(Git, 'fastForward', async ({ path }) => fastForwarded.push(path))
+    .stdout()
+    .command(['pull', '.', '--output', 'plain'])
+    .exit(0)
+    .it('fast-forwards clean trees and reports other ones', (ctx) => {
+      expect(fastForwarded).to.deep.equal(['jeff/clean'])
+      expect(fetched).to.deep.equal({
+        'jeff/clean': 'token',
+        'jeff/dirty': 'token',
+        'jeff/diverged': 'token',
+        'gitlab/repo': null
+      })
+      expect(ctx.stdout).to.match(/jeff\/dirty +master +dirty +1 changed or untracked files, 2 commits behind/)
+      expect(ctx.stdout).to.match(/jeff\/diverged +master +diverged +1 commits ahead and 2 commits behind/)
+      expect(ctx.stdout).to.contain('2/4 repositories up to date.')
+    })
+
+  test
+    .stub(config, 'get', () => undefined)
+    .stub(Git, 'check', async () => {})
+    .stub(Checkouts, 'list', async () => [{ name: 'jeff/repo', path: 'jeff/repo' }])
+    .stub(Git, 'remoteUrls', async () => ['https://github.com/jeff/repo.git'])
+    .stub(Git, 'fetch', async () => {
+      throw Object.assign(new Error('Command failed'), { stderr: 'fatal: repository not found\nmore' })
+    })
+    .stdout()
+    .stderr()
+    .command(['pull', '.', '--quiet'])
+    .exit(1)
+    .it('exits with a non-zero code when a tree cannot be fetched', (ctx) => {
+      expect(ctx.stderr).to.contain('jeff/repo: failed (fatal: repository not found)')
+    })
+})
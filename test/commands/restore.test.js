@@ -0,0 +1,129 @@
+const { expect, test } = require('@oclif/test')
+const os = require('os')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const Git = require('../../src/lib/git')
+const Manifest = require('../../src/lib/manifest')
+const Mirrors = require('../../src/lib/mirrors')
+const { profiles, scopedProfiles } = require('../helpers/config')
+
+const mirror = (name) => ({
+  fullName: `jeff/${name}`,
+  owner: 'jeff',
+  name,
+  path: `jeff/${name}.git`,
+  format: 'mirror',
+  encrypted: false,
+  file: `jeff/${name}.git`
+})
+const manifest = async () => ({
+  repositories: [
+    { fullName: 'jeff/app', private: false, description: 'An app', defaultBranch: 'master' },
+    { fullName: 'jeff/secret', private: true, description: 'A secret', defaultBranch: 'main' }
+  ]
+})
+const remote = (fullName) => ({
+  fullName,
+  urls: { https: `https://github.com/${fullName}.git` },
+  defaultBranch: 'master'
+})
+// Restore environment: backup holds app and secret mirrors, target is acme organization, which only has app
+const restore = test
+  .stub(config, 'get', profiles)
+  .stub(Git, 'check', async () => {})
+  .stub(Mirrors, 'list', async () => [mirror('app'), mirror('secret')])
+  .stub(Manifest, 'latest', manifest)
+  .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'Organization' }))
+  .stub(GithubAPI.get, 'repository', async (auth, fullName) => (fullName === 'acme/app' ? remote(fullName) : null))
+
+describe('restore', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['restore', 'gbulk-backup'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['restore', 'unknown-gbulk-backup', '--no-lfs'])
+    .catch((err) => expect(err.message).to.contain('Cannot read backup directory unknown-gbulk-backup'))
+    .it('requires an existing backup directory')
+
+  restore
+    .stub(Git, 'isEmptyRemote', async () => true)
+    .stdout()
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs', '--dry-run'])
+    .exit(0)
+    .it('shows what would be restored', (ctx) => {
+      expect(ctx.stdout).to.contain('jeff/app ===> push to existing acme/app')
+      expect(ctx.stdout).to.contain('jeff/secret ===> create private acme/secret and push')
+    })
+
+  const pushes = []
+
+  restore
+    .stub(Git, 'isEmptyRemote', async () => false)
+    .stub(GithubAPI.create, 'repository', async ({ org, name }) => remote(`${org}/${name}`))
+    .stub(Git, 'push', async (data) => pushes.push(data.url))
+    .stub(GithubAPI.update, 'repository', async () => ({}))
+    .stderr()
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs', '--quiet', '--match', 'app'])
+    .exit(1)
+    .it('does not overwrite repositories that are not empty without --force', (ctx) => {
+      expect(ctx.stderr).to.contain('acme/app is not empty, use --force to overwrite it')
+      expect(pushes).to.deep.equal([])
+    })
+
+  const created = []
+  const updated = []
+
+  restore
+    .stub(Git, 'isEmptyRemote', async () => true)
+    .stub(GithubAPI.create, 'repository', async ({ org, name, options }) => {
+      created.push({ org, name, options })
+
+      return remote(`${org}/${name}`)
+    })
+    .stub(Git, 'push', async () => {})
+    .stub(GithubAPI.update, 'repository', async (auth, fullName, settings) => updated.push({ fullName, settings }))
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs', '--quiet'])
+    .exit(0)
+    .it('creates missing repositories with their original details and default branch', () => {
+      expect(created).to.deep.equal([
+        { org: 'acme', name: 'secret', options: { private: true, description: 'A secret' } }
+      ])
+      expect(updated).to.deep.equal([{ fullName: 'acme/secret', settings: { default_branch: 'main' } }])
+    })
+
+  const renamed = []
+
+  restore
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => remote(`acme/renamed-${fullName.split('/')[1]}`))
+    .stub(Git, 'isEmptyRemote', async () => false)
+    .stub(GithubAPI.create, 'repository', async ({ org, name }) => remote(`${org}/${name}`))
+    .stub(Git, 'push', async (data, prune) => renamed.push({ url: data.url, prune }))
+    .stub(GithubAPI.update, 'repository', async () => ({}))
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs', '--quiet', '--force', '--match', 'app'])
+    .exit(0)
+    .it('does not push to repositories renamed from target name', () => {
+      expect(renamed).to.deep.equal([{ url: 'https://github.com/acme/app.git', prune: true }])
+    })
+
+  restore
+    .stub(Mirrors, 'list', async () => [
+      mirror('app'),
+      Object.assign(mirror('App'), { fullName: 'bob/App', owner: 'bob' })
+    ])
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs'])
+    .catch((err) =>
+      expect(err.message).to.contain('jeff/app and bob/App would both be restored to acme/app, use --exclude')
+    )
+    .it('refuses to restore mirrors of different owners to the same repository')
+
+  restore
+    .stub(config, 'get', scopedProfiles(['public_repo']))
+    .command(['restore', os.tmpdir(), 'acme', '--no-lfs'])
+    .catch((err) => expect(err.message).to.contain('missing repo scope (needed to restore private repositories)'))
+    .it('requires repo scope to restore private repositories')
+})
@@ -0,0 +1,92 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const { profiles } = require('../helpers/config')
+
+describe('transfer', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['transfer', 'jeff', 'acme'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'User' }))
+    .command(['transfer', 'jeff', 'john', '--team', 'developers'])
+    .catch((err) => expect(err.message).to.contain('john is not an organization'))
+    .it('only assigns teams of organizations')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'Organization' }))
+    .stub(GithubAPI.get, 'repositories', async () => [{ fullName: 'jeff/repo', name: 'repo', private: false }])
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => (fullName === 'acme/repo' ? { fullName } : null))
+    .stub(GithubAPI.transfer, 'repository', async () => ({}))
+    .stub(GithubAPI.update, 'repository', async (auth, fullName, settings) => ({ fullName: `jeff/${settings.name}` }))
+    .stdout()
+    .command(['transfer', 'jeff', 'acme', '--conflict', 'rename', '--yes', '--quiet'])
+    .exit(0)
+    .it('renames repositories colliding with target ones', (ctx) => {
+      expect(ctx.stdout).to.match(/jeff\/repo\s+acme\/repo-jeff\s+transferred \(renamed to repo-jeff\)/)
+    })
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'Organization' }))
+    .stub(GithubAPI.get, 'repositories', async () => [{ fullName: 'jeff/repo', name: 'repo', private: false }])
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => ({ fullName }))
+    .stdout()
+    .stderr()
+    .command(['transfer', 'jeff', 'acme', '--yes', '--quiet'])
+    .exit(1)
+    .it('skips repositories colliding with target ones', (ctx) => {
+      expect(ctx.stdout).to.match(/jeff\/repo\s+acme\/repo\s+skipped: name already exists in target/)
+    })
+
+  const transferred = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'Organization' }))
+    .stub(GithubAPI.get, 'repositories', async () => [
+      { fullName: 'jeff/repo', name: 'repo', private: false },
+      { fullName: 'john/shared', name: 'shared', private: false },
+      { fullName: 'other-org/tool', name: 'tool', private: false }
+    ])
+    .stub(GithubAPI.get, 'repository', async () => null)
+    .stub(GithubAPI.transfer, 'repository', async (auth, fullName) => transferred.push(fullName))
+    .stdout()
+    .command(['transfer', 'jeff', 'acme', '--yes', '--quiet'])
+    .exit(0)
+    .it('only transfers repositories owned by source', () => {
+      expect(transferred).to.deep.equal(['jeff/repo'])
+    })
+
+  const renames = []
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'user', async (auth, login) => ({ login, type: 'Organization' }))
+    .stub(GithubAPI.get, 'repositories', async () => [{ fullName: 'jeff/repo', name: 'repo', private: false }])
+    .stub(GithubAPI.get, 'repository', async (auth, fullName) => (fullName === 'acme/repo' ? { fullName } : null))
+    .stub(GithubAPI.transfer, 'repository', async () => {
+      throw new Error('Repository cannot be transferred')
+    })
+    .stub(GithubAPI.update, 'repository', async (auth, fullName, settings) => {
+      renames.push([fullName, settings.name])
+
+      return { fullName: `jeff/${settings.name}` }
+    })
+    .stdout()
+    .command(['transfer', 'jeff', 'acme', '--conflict', 'rename', '--yes', '--quiet'])
+    .exit(1)
+    .it('gives renamed repositories their name back when transfer fails', (ctx) => {
+      expect(renames).to.deep.equal([
+        ['jeff/repo', 'repo-jeff'],
+        ['jeff/repo-jeff', 'repo']
+      ])
+      expect(ctx.stdout).to.contain('failed: Repository cannot be transferred')
+    })
+})
@@ -0,0 +1,31 @@
+const { expect, test } = require('@oclif/test')
+
+const config = require('../../src/config')
+const GithubAPI = require('../../src/lib/github-api')
+const { profiles } = require('../helpers/config')
+
+describe('unarchive', () => {
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['unarchive'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated'))
+    .it('requires authentication')
+
+  test
+    .stub(config, 'get', profiles)
+    .command(['unarchive', '--pushed-before', 'yesterday'])
+    .catch((err) => expect(err.message).to.contain('Invalid date yesterday for --pushed-before'))
+    .it('requires a valid cutoff date')
+
+  test
+    .stub(config, 'get', profiles)
+    .stub(GithubAPI.get, 'repositories', async () => [
+      { fullName: 'jeff/repo', name: 'repo', private: false, archived: false, pushedAt: '2019-01-01T00:00:00Z' }
+    ])
+    .stderr()
+    .command(['unarchive', '--quiet'])
+    .exit(1)
+    .it('skips repositories already unarchived', (ctx) => {
+      expect(ctx.stderr).to.contain('No repositories to unarchive.')
+    })
+})
@@ -0,0 +1,47 @@
+const { expect, test } = require('@oclif/test')
+
+const Mirrors = require('../../src/lib/mirrors')
+const Package = require('../../src/lib/package')
+
+describe('unpack', () => {
+  test
+    .command(['unpack', 'unknown-gbulk-backup'])
+    .catch((err) => expect(err.message).to.contain('Cannot read backup directory unknown-gbulk-backup'))
+    .it('requires an existing backup directory')
+
+  test
+    .stub(Mirrors, 'list', async () => [
+      { fullName: 'jeff/repo', name: 'repo', path: 'jeff/repo.git', format: 'mirror', file: 'jeff/repo.git' }
+    ])
+    .stderr()
+    .command(['unpack', '.'])
+    .exit(1)
+    .it('skips mirrors that are not packaged', (ctx) => {
+      expect(ctx.stderr).to.contain('No packaged repositories to unpack.')
+    })
+
+  test
+    .command(['unpack', '.', '--private-key', 'unknown-gbulk-key.pem'])
+    .catch((err) => expect(err.message).to.contain('Cannot read private key unknown-gbulk-key.pem'))
+    .it('requires a readable private key')
+
+  test
+    .stub(Mirrors, 'list', async () => [
+      {
+        fullName: 'jeff/repo',
+        name: 'repo',
+        path: 'jeff/repo.git',
+        format: 'bundle',
+        encrypted: true,
+        file: 'jeff/repo.bundle.enc'
+      }
+    ])
+    .stub(Package, 'find', async () => null)
+    .stub(Package, 'verify', async () => ['jeff/repo.bundle.enc'])
+    .stderr()
+    .command(['unpack', '.', '--quiet'])
+    .exit(1)
+    .it('requires a key to unpack encrypted packages', (ctx) => {
+      expect(ctx.stderr).to.contain('jeff/repo.bundle.enc is encrypted')
+    })
+})
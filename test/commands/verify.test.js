@@ -0,0 +1,133 @@
+const { expect, test } = require('@oclif/test')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const config = require('../../src/config')
+const Git = require('../../src/lib/git')
+const Manifest = require('../../src/lib/manifest')
+const Mirrors = require('../../src/lib/mirrors')
+const Package = require('../../src/lib/package')
+const Verify = require('../../src/lib/verify')
+
+const mirrors = async () => [
+  { fullName: 'jeff/repo', name: 'repo', path: 'jeff/repo.git', format: 'mirror', file: 'jeff/repo.git' },
+  { fullName: 'jeff/other', name: 'other', path: 'jeff/other.git', format: 'mirror', file: 'jeff/other.git' }
+]
+const result = (fullName, checks) =>
+  Object.assign(
+    {
+      fullName,
+      checksum: 'skipped',
+      fsck: 'passed',
+      lfs: 'passed',
+      refs: 'passed',
+      remote: 'skipped',
+      status: 'passed',
+      problems: []
+    },
+    checks
+  )
+
+describe('verify', () => {
+  test
+    .command(['verify', 'unknown-gbulk-backup'])
+    .catch((err) => expect(err.message).to.contain('Cannot read backup directory unknown-gbulk-backup'))
+    .it('requires an existing backup directory')
+
+  test
+    .stub(config, 'get', () => undefined)
+    .command(['verify', '.', '--remote'])
+    .catch((err) => expect(err.message).to.contain('You are not authenticated with profile default'))
+    .it('requires authentication to compare with Github')
+
+  test
+    .stub(Mirrors, 'list', mirrors)
+    .stub(Manifest, 'latest', async () => null)
+    .stub(Verify, 'mirror', async (mirror) => result(mirror.fullName))
+    .stdout()
+    .command(['verify', '.', '--quiet'])
+    .exit(0)
+    .it('exits with zero code when all checks pass', (ctx) => {
+      expect(ctx.stdout).to.equal('')
+    })
+
+  test
+    .stub(Mirrors, 'list', mirrors)
+    .stub(Manifest, 'latest', async () => ({
+      repositories: [{ kind: 'repositories', fullName: 'jeff/repo', heads: { 'refs/heads/master': 'abc' } }]
+    }))
+    .stub(Verify, 'mirror', async (mirror, { entry }) =>
+      entry
+        ? result(mirror.fullName, {
+            refs: 'failed',
+            status: 'failed',
+            problems: ['branches differ from backup manifest: master']
+          })
+        : result(mirror.fullName, { refs: 'skipped' })
+    )
+    .stdout()
+    .stderr()
+    .command(['verify', '.', '--parallel', '1'])
+    .exit(1)
+    .it('reports failed checks with a non-zero exit code', (ctx) => {
+      expect(ctx.stdout).to.match(/jeff\/other\s+skipped\s+passed\s+passed\s+skipped\s+skipped\s+passed/)
+      expect(ctx.stdout).to.match(/jeff\/repo\s+skipped\s+passed\s+passed\s+failed\s+skipped\s+failed/)
+      expect(ctx.stdout).to.contain('1/2 repositories passed checks.')
+    })
+
+  const backup = path.join(os.tmpdir(), `gbulk-verify-${process.pid}`)
+  const checked = []
+
+  test
+    .do(() => {
+      fs.mkdirSync(path.join(backup, 'jeff', 'repo.git'), { recursive: true })
+      fs.mkdirSync(path.join(backup, 'gists', 'jeff', 'abc123.git'), { recursive: true })
+    })
+    .finally(() => Package.removeDirectory(backup))
+    .stub(Manifest, 'latest', async () => ({
+      repositories: [
+        { kind: 'repositories', fullName: 'jeff/repo', status: 'cloned' },
+        { kind: 'gists', fullName: 'jeff/abc123', status: 'updated' }
+      ]
+    }))
+    .stub(Verify, 'mirror', async (mirror, { entry }) => checked.push({ mirror, entry }) && result(mirror.fullName))
+    .stdout()
+    .command(['verify', backup])
+    .exit(0)
+    .it('checks mirrors of gists and starred repositories', (ctx) => {
+      const gist = checked.find((check) => check.mirror.kind === 'gists')
+
+      expect(checked).to.have.lengthOf(2)
+      expect(gist.mirror).to.include({
+        fullName: 'jeff/abc123',
+        path: path.join(backup, 'gists', 'jeff', 'abc123.git')
+      })
+      expect(gist.entry).to.include({ kind: 'gists', status: 'updated' })
+      expect(ctx.stdout).to.match(/gists\/jeff\/abc123\s+skipped\s+passed/)
+      expect(ctx.stdout).to.contain('2/2 repositories passed checks.')
+    })
+
+  const mirror = { fullName: 'jeff/repo', name: 'repo', path: 'jeff/repo.git', format: 'mirror', file: 'jeff/repo.git' }
+
+  test
+    .stub(Git, 'fsck', async () => {})
+    .stub(Git, 'heads', async () => ({ 'refs/heads/master': 'abc' }))
+    .it('compares refs with the ones recorded by a successful backup', async () => {
+      const checks = await Verify.mirror(mirror, {
+        entry: { status: 'updated', lfs: 'skipped', heads: { 'refs/heads/master': 'def' } }
+      })
+
+      expect(checks.refs).to.equal('failed')
+      expect(checks.problems).to.deep.equal(['branches differ from backup manifest: master'])
+    })
+
+  test
+    .stub(Git, 'fsck', async () => {})
+    .stub(Git, 'heads', async () => ({ 'refs/heads/master': 'abc' }))
+    .it('does not compare refs with a failed backup', async () => {
+      const checks = await Verify.mirror(mirror, { entry: { status: 'failed', lfs: 'skipped', heads: {} } })
+
+      expect(checks).to.include({ refs: 'skipped', status: 'passed' })
+    })
+})
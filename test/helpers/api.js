@@ -0,0 +1,54 @@
+const http = require('http')
+
+/**
+ * Create a local Github API server, recording requests and answering them with queued responses.
+ * Start it with `listen` before tests and stop it with `close` after them
+ * @returns {Object} Server
+ */
+module.exports = function api() {
+  const server = http.createServer((req, res) => {
+    const route = `${req.method} ${req.url.split('?')[0]}`
+    const queue = responses[route] || [{ status: 404, body: { message: 'Not Found' } }]
+    // Last response of a route is sent again to next requests
+    const { status = 200, headers = {}, body = null } = queue.length > 1 ? queue.shift() : queue[0]
+    let data = ''
+
+    req.on('data', (chunk) => (data += chunk))
+    req.on('end', () => {
+      requests.push({ route, url: req.url, headers: req.headers, body: data ? JSON.parse(data) : null })
+
+      res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers))
+      res.end(JSON.stringify(body))
+    })
+  })
+  const requests = []
+  let responses = {}
+
+  return {
+    requests,
+    /**
+     * Queue responses to requests of a route
+     * @param {String} route Request method and path, without query string (eg. `GET /user/repos`)
+     * @param {...Object<status: Number?, headers: Object?, body: *>} queue Responses, in order
+     * @returns {void}
+     */
+    respond: (route, ...queue) => {
+      responses[route] = queue
+    },
+    /**
+     * Forget recorded requests and queued responses
+     * @returns {void}
+     */
+    reset: () => {
+      requests.length = 0
+      responses = {}
+    },
+    /**
+     * Get authentication details of a profile using local server as API
+     * @returns {Object<token: String, api: String>} Authentication details
+     */
+    auth: () => ({ token: 'token', api: `http://127.0.0.1:${server.address().port}` }),
+    listen: (done) => server.listen(0, '127.0.0.1', done),
+    close: (done) => server.close(done)
+  }
+}
@@ -0,0 +1,18 @@
+// Details of default profile in tests
+const profile = { token: 'token', user: 'jeff', host: 'github.com' }
+
+module.exports = {
+  /**
+   * Stub of `config.get` for a configuration with a default profile
+   * @param {String} key Configuration key
+   * @returns {*} Configuration value
+   */
+  profiles: (key) => (key === 'profiles' ? { default: profile } : undefined),
+  /**
+   * Create a stub of `config.get` for a configuration with a default profile whose token has given scopes only
+   * @param {Array<String>} scopes Token scopes
+   * @returns {Function} `config.get` stub
+   */
+  scopedProfiles: (scopes) => (key) =>
+    key === 'profiles' ? { default: Object.assign({}, profile, { scopes }) } : undefined
+}
@@ -0,0 +1,73 @@
+const { expect, test } = require('@oclif/test')
+const execa = require('execa')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Backup = require('../../src/lib/backup')
+const Git = require('../../src/lib/git')
+const Package = require('../../src/lib/package')
+
+const workspace = path.join(os.tmpdir(), `gbulk-backup-lib-${process.pid}`)
+const work = path.join(workspace, 'work')
+const destination = path.join(workspace, 'backup')
+const repository = { fullName: 'jeff/repo', urls: { https: path.join(workspace, 'origin.git') } }
+const git = (args, cwd) =>
+  execa('git', ['-c', 'user.name=jeff', '-c', 'user.email=jeff@example.com'].concat(args), { cwd })
+const commit = async (message) => {
+  await git(['commit', '--allow-empty', '-m', message], work)
+  await git(['push', repository.urls.https, 'HEAD:refs/heads/master'], work)
+
+  const { stdout } = await git(['rev-parse', 'HEAD'], work)
+
+  return stdout.trim()
+}
+
+describe('Backup.repository', () => {
+  before(async () => {
+    await fs.promises.mkdir(work, { recursive: true })
+    await git(['init', '--bare', repository.urls.https])
+    await git(['init'], work)
+  })
+  after(() => Package.removeDirectory(workspace))
+
+  test.it('clones missing mirrors, then updates them', async () => {
+    const first = await commit('First commit')
+    const cloned = await Backup.repository(repository, { destination })
+
+    expect(cloned).to.include({ status: 'cloned', error: null, path: path.join(destination, 'jeff', 'repo.git') })
+    expect(cloned.heads).to.deep.equal({ 'refs/heads/master': first })
+
+    const second = await commit('Second commit')
+    const updated = await Backup.repository(repository, { destination })
+
+    expect(updated).to.include({ status: 'updated', error: null })
+    expect(updated.heads).to.deep.equal({ 'refs/heads/master': second })
+  })
+
+  test.it('prunes branches deleted upstream', async () => {
+    await git(['push', repository.urls.https, 'HEAD:refs/heads/feature'], work)
+    await Backup.repository(repository, { destination })
+    await git(['push', repository.urls.https, ':refs/heads/feature'], work)
+
+    const updated = await Backup.repository(repository, { destination })
+
+    expect(Object.keys(updated.heads)).to.deep.equal(['refs/heads/master'])
+  })
+
+  test.it('does not overwrite destination that is not a mirror', async () => {
+    const other = path.join(destination, 'jeff', 'other.git')
+
+    await fs.promises.mkdir(other, { recursive: true })
+    await fs.promises.writeFile(path.join(other, 'notes.txt'), 'not a mirror')
+
+    const result = await Backup.repository(
+      { fullName: 'jeff/other', urls: { https: repository.urls.https } },
+      { destination }
+    )
+
+    expect(result.status).to.equal('failed')
+    expect(result.error).to.contain('already exists and is not an empty directory')
+    expect(await Git.isMirror({ path: other })).to.equal(false)
+  })
+})
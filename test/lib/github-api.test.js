@@ -0,0 +1,194 @@
+const { expect, test } = require('@oclif/test')
+
+const GithubAPI = require('../../src/lib/github-api')
+const api = require('../helpers/api')
+
+const repository = (fullName, details) =>
+  Object.assign(
+    {
+      full_name: fullName,
+      name: fullName.split('/')[1],
+      private: false,
+      clone_url: `https://github.com/${fullName}.git`
+    },
+    details
+  )
+
+describe('github-api', () => {
+  const server = api()
+
+  before(server.listen)
+  afterEach(server.reset)
+  after(server.close)
+
+  describe('get.repositories', () => {
+    test.it('fetches repositories of authenticated user', async () => {
+      server.respond('GET /user/repos', { body: [repository('jeff/cli')] })
+
+      const repositories = await GithubAPI.get.repositories({
+        auth: server.auth(),
+        options: { affiliation: ['owner', 'member'], type: 'private' }
+      })
+
+      expect(repositories.map((repo) => repo.fullName)).to.deep.equal(['jeff/cli'])
+      expect(server.requests[0].url).to.equal('/user/repos?affiliation=owner,organization_member&visibility=private')
+      expect(server.requests[0].headers.authorization).to.equal('token token')
+    })
+
+    test.it('fetches repositories of an organization', async () => {
+      server.respond('GET /users/acme', { body: { login: 'acme', type: 'Organization' } })
+      server.respond('GET /orgs/acme/repos', {
+        body: [repository('acme/web'), repository('acme/secret', { private: true })]
+      })
+
+      const repositories = await GithubAPI.get.repositories({
+        auth: server.auth(),
+        from: 'acme',
+        options: { type: 'private' }
+      })
+
+      expect(repositories.map((repo) => repo.fullName)).to.deep.equal(['acme/secret'])
+      expect(server.requests.map((req) => req.url)).to.deep.equal(['/users/acme', '/orgs/acme/repos?type=private'])
+    })
+
+    test.it('fetches member repositories of an organization', async () => {
+      server.respond('GET /users/acme', { body: { login: 'acme', type: 'Organization' } })
+      server.respond('GET /orgs/acme/repos', { body: [] })
+
+      await GithubAPI.get.repositories({ auth: server.auth(), from: 'acme', options: { affiliation: ['member'] } })
+
+      expect(server.requests[1].url).to.equal('/orgs/acme/repos?type=member')
+    })
+
+    test.it('fetches repositories of another user', async () => {
+      server.respond('GET /users/bob', { body: { login: 'bob', type: 'User' } })
+      server.respond('GET /users/bob/repos', { body: [repository('bob/dotfiles')] })
+
+      const repositories = await GithubAPI.get.repositories({
+        auth: server.auth(),
+        from: 'bob',
+        options: { affiliation: ['owner'] }
+      })
+
+      expect(repositories.map((repo) => repo.fullName)).to.deep.equal(['bob/dotfiles'])
+      expect(server.requests.map((req) => req.url)).to.deep.equal(['/users/bob', '/users/bob/repos?type=owner'])
+    })
+
+    test.it('follows pagination links', async () => {
+      const next = `${server.auth().api}/users/bob/repos?type=all&page=2`
+
+      server.respond('GET /users/bob', { body: { login: 'bob', type: 'User' } })
+      server.respond(
+        'GET /users/bob/repos',
+        { headers: { Link: `<${next}>; rel="next"` }, body: [repository('bob/dotfiles')] },
+        { body: [repository('bob/blog')] }
+      )
+
+      const repositories = await GithubAPI.get.repositories({ auth: server.auth(), from: 'bob' })
+
+      expect(repositories.map((repo) => repo.fullName)).to.deep.equal(['bob/dotfiles', 'bob/blog'])
+      expect(server.requests[2].url).to.equal('/users/bob/repos?type=all&page=2')
+    })
+
+    test.it('reports unknown accounts', async () => {
+      const err = await GithubAPI.get.repositories({ auth: server.auth(), from: 'nobody' }).catch((err) => err)
+
+      expect(err).to.equal('Not Found')
+    })
+  })
+
+  describe('request', () => {
+    const delays = []
+    // Retries wait for delays given by Github, tests only record them
+    const retry = test
+      .do(() => (delays.length = 0))
+      .stub(global, 'setTimeout', (fn, ms) => delays.push(ms) && setImmediate(fn))
+
+    retry.it('waits for Retry-After delay', async () => {
+      server.respond(
+        'GET /repos/jeff/cli',
+        { status: 403, headers: { 'Retry-After': '3' }, body: { message: 'You have exceeded a secondary rate limit' } },
+        { body: repository('jeff/cli') }
+      )
+
+      const repo = await GithubAPI.get.repository(server.auth(), 'jeff/cli')
+
+      expect(repo.fullName).to.equal('jeff/cli')
+      expect(delays).to.deep.equal([3000])
+    })
+
+    retry.it('waits for rate limit reset', async () => {
+      const reset = Math.ceil(Date.now() / 1000) + 10
+
+      server.respond(
+        'GET /repos/jeff/cli',
+        {
+          status: 403,
+          headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) },
+          body: { message: 'API rate limit exceeded' }
+        },
+        { body: repository('jeff/cli') }
+      )
+
+      await GithubAPI.get.repository(server.auth(), 'jeff/cli')
+
+      expect(delays).to.have.lengthOf(1)
+      expect(delays[0]).to.be.within(10000, 12000)
+    })
+
+    retry.it('retries server errors with exponential backoff', async () => {
+      server.respond('GET /repos/jeff/cli', { status: 502 }, { status: 503 }, { body: repository('jeff/cli') })
+
+      const repo = await GithubAPI.get.repository(server.auth(), 'jeff/cli')
+
+      expect(repo.fullName).to.equal('jeff/cli')
+      expect(delays).to.deep.equal([1000, 2000])
+    })
+
+    retry.it('gives up after too many server errors', async () => {
+      server.respond('GET /repos/jeff/cli', { status: 500 })
+
+      const err = await GithubAPI.get.repository(server.auth(), 'jeff/cli').catch((err) => err)
+
+      expect(err).to.equal('HTTP 500 Internal Server Error')
+      expect(server.requests).to.have.lengthOf(5)
+      expect(delays).to.deep.equal([1000, 2000, 4000, 8000])
+    })
+
+    retry.it('does not retry server errors of POST requests', async () => {
+      server.respond('POST /user/repos', { status: 502 }, { status: 201, body: repository('jeff/cli') })
+
+      const err = await GithubAPI.create.repository({ auth: server.auth(), name: 'cli' }).catch((err) => err)
+
+      // Repository may have been created anyway, sending request again could create it twice
+      expect(err).to.equal('HTTP 502 Bad Gateway')
+      expect(server.requests).to.have.lengthOf(1)
+      expect(delays).to.deep.equal([])
+    })
+
+    retry.it('retries rate limited POST requests', async () => {
+      server.respond(
+        'POST /user/repos',
+        { status: 429, headers: { 'Retry-After': '1' } },
+        { status: 201, body: repository('jeff/cli') }
+      )
+
+      const repo = await GithubAPI.create.repository({ auth: server.auth(), name: 'cli' })
+
+      expect(repo.fullName).to.equal('jeff/cli')
+      expect(server.requests.map((req) => req.body)).to.deep.equal([{ name: 'cli' }, { name: 'cli' }])
+    })
+
+    retry.it('does not retry other client errors', async () => {
+      server.respond('GET /repos/jeff/cli', {
+        status: 403,
+        body: { message: 'Resource not accessible by integration' }
+      })
+
+      const err = await GithubAPI.get.repository(server.auth(), 'jeff/cli').catch((err) => err)
+
+      expect(err).to.equal('Resource not accessible by integration')
+      expect(server.requests).to.have.lengthOf(1)
+    })
+  })
+})
@@ -0,0 +1,52 @@
+const { expect, test } = require('@oclif/test')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const Package = require('../../src/lib/package')
+const Snapshots = require('../../src/lib/snapshots')
+
+const destination = path.join(os.tmpdir(), `gbulk-snapshots-${process.pid}`)
+const previous = '2020-01-31T08-00-00Z'
+const oid = 'a'.repeat(64)
+// Files of a snapshot, relative to snapshot path
+const files = {
+  manifest: 'gbulk-manifest-1580457600000.json',
+  config: path.join('jeff', 'repo.git', 'config'),
+  ref: path.join('jeff', 'repo.git', 'refs', 'heads', 'master'),
+  // Branch objects/fix
+  branch: path.join('jeff', 'repo.git', 'refs', 'heads', 'objects', 'fix'),
+  object: path.join('jeff', 'repo.git', 'objects', 'ab', 'cdef'),
+  lfs: path.join('jeff', 'repo.git', 'lfs', 'objects', 'aa', 'aa', oid),
+  bundle: path.join('jeff', 'other.bundle'),
+  metadata: path.join('jeff', 'repo.metadata', 'issues.json')
+}
+const inode = (snapshot, file) => fs.statSync(path.join(destination, snapshot, file)).ino
+
+describe('Snapshots.create', () => {
+  before(async () => {
+    for (const file of Object.values(files)) {
+      await fs.promises.mkdir(path.join(destination, previous, path.dirname(file)), { recursive: true })
+      await fs.promises.writeFile(path.join(destination, previous, file), file)
+    }
+
+    await Snapshots.setLatest(destination, previous)
+  })
+  after(() => Package.removeDirectory(destination))
+
+  test.it('copies latest snapshot, hard linking files that are never rewritten', async () => {
+    const snapshot = await Snapshots.create(destination, new Date('2020-02-01T08:00:00Z'))
+    const linked = (file) => inode(snapshot.name, file) === inode(previous, file)
+
+    expect(snapshot).to.include({ name: '2020-02-01T08-00-00Z', from: previous })
+    expect(fs.existsSync(path.join(snapshot.path, files.manifest))).to.equal(false)
+    expect(linked(files.object)).to.equal(true)
+    expect(linked(files.lfs)).to.equal(true)
+    expect(linked(files.bundle)).to.equal(true)
+    expect(linked(files.config)).to.equal(false)
+    expect(linked(files.ref)).to.equal(false)
+    expect(linked(files.branch)).to.equal(false)
+    expect(linked(files.metadata)).to.equal(false)
+    expect(fs.readFileSync(path.join(snapshot.path, files.config), 'utf8')).to.equal(files.config)
+  })
+})